@@ -0,0 +1,121 @@
+/**
+ * Dedicated worker that runs the PcdAnalyzer off the main thread.
+ *
+ * Samples arrive from one of three places:
+ *  - a SharedArrayBuffer ring written by the AudioWorklet (cross-origin
+ *    isolated pages),
+ *  - a MessagePort connected straight to the AudioWorklet, or
+ *  - `samples` messages from the main thread (offline file analysis).
+ *
+ * Frame results are posted back with their typed arrays transferred. Every
+ * message is tagged with the session id from the last `start`/`stop` so the
+ * main thread can drop results that belong to a stopped run.
+ *
+ * Sample payloads are stream arrays `[main, ...perChannel]` (see
+ * multichannel.js); `streams` in `start` gives their count.
+ *
+ * Messages in:  configure {config, tuner} | start {session, sampleRate, streams, port?, ring?}
+ *               | stop {session} | samples {session, data} | flush {id}
+ * Messages out: frame {session, frame} | pitch {session, pitch} | error {session, message}
+ *               | flushed {id}
+ */
+import { MultiChannelAnalyzer } from './multichannel.js';
+import { SampleRingReader } from './sample-ring.js';
+
+const RING_POLL_MS = 5;
+const RING_WAIT_TIMEOUT_MS = 100;
+
+const analyzer = new MultiChannelAnalyzer();
+let session = 0;
+let samplePort = null;
+let ringReader = null;
+let ringGeneration = 0;
+
+function postFrame(frame) {
+  const pcd = Float32Array.from(frame.pcd);
+  const rawPcd = Float32Array.from(frame.rawPcd);
+  const magnitudes = Float32Array.from(frame.magnitudes);
+  self.postMessage(
+    { type: 'frame', session, frame: { ...frame, pcd, rawPcd, magnitudes } },
+    [pcd.buffer, rawPcd.buffer, magnitudes.buffer],
+  );
+}
+
+function postPitch(pitch) {
+  self.postMessage({ type: 'pitch', session, pitch });
+}
+
+function analyze(streams) {
+  if (streams.length === 0 || streams[0].length === 0) return;
+  try {
+    analyzer.push(streams, postFrame, postPitch);
+  } catch (error) {
+    self.postMessage({ type: 'error', session, message: error.message || String(error) });
+  }
+}
+
+function scheduleRingRead(generation) {
+  if (!ringReader || generation !== ringGeneration) return;
+
+  if (typeof Atomics.waitAsync === 'function') {
+    const result = Atomics.waitAsync(ringReader.header, 0, ringReader.peekWriteCount(), RING_WAIT_TIMEOUT_MS);
+    if (result.async) {
+      result.value.then(() => drainRing(generation));
+      return;
+    }
+  }
+  setTimeout(() => drainRing(generation), RING_POLL_MS);
+}
+
+function drainRing(generation) {
+  if (!ringReader || generation !== ringGeneration) return;
+  analyze(ringReader.read());
+  scheduleRingRead(generation);
+}
+
+function detachSources() {
+  if (samplePort) {
+    samplePort.onmessage = null;
+    samplePort.close();
+    samplePort = null;
+  }
+  ringReader = null;
+  ringGeneration++;
+}
+
+self.onmessage = ({ data: msg }) => {
+  switch (msg.type) {
+    case 'configure':
+      analyzer.updateConfig(msg.config);
+      analyzer.updateTuner(msg.tuner);
+      break;
+
+    case 'start':
+      detachSources();
+      session = msg.session;
+      analyzer.setSampleRate(msg.sampleRate);
+      analyzer.setChannelCount((msg.streams || 1) - 1);
+      if (msg.ring) {
+        ringReader = new SampleRingReader(msg.ring);
+        scheduleRingRead(ringGeneration);
+      } else if (msg.port) {
+        samplePort = msg.port;
+        samplePort.onmessage = event => analyze(event.data);
+      }
+      break;
+
+    case 'stop':
+      detachSources();
+      session = msg.session;
+      analyzer.reset();
+      break;
+
+    case 'samples':
+      if (msg.session === session) analyze(msg.data);
+      break;
+
+    case 'flush':
+      self.postMessage({ type: 'flushed', id: msg.id });
+      break;
+  }
+};
@@ -0,0 +1,766 @@
+import { WINDOW_TYPES, getWindow, hannWindow, windowRmsScale } from './windowing.js';
+import { RealFFT } from './fft.js';
+import { PitchClassComputer, normalizePcd } from './pcd.js';
+import { ConstantQChromaComputer } from './cq-chroma.js';
+import { HpcpComputer } from './hpcp.js';
+import { estimatePrimary } from './primary-detection.js';
+import { TUNER_ALGORITHMS, TimeDomainPitchDetector } from './pitch-detection.js';
+import { TuningEstimator } from './tuning.js';
+import { MultiPitchEstimator } from './multipitch.js';
+import { SpectralFluxOnsetDetector, TempoTracker } from './rhythm.js';
+import { HarmonicPercussiveSeparator } from './hpss.js';
+import { MIN_BINS, MAX_BINS, binPosition } from './edo.js';
+import { temperamentOffsets, temperedPitch } from './temperament.js';
+import { SMOOTHING_MODES, Smoother } from './smoothing.js';
+import { KeyEstimator, resolveKeyProfile } from './key-detection.js';
+import { ChordRecognizer } from './chords.js';
+
+export const DEFAULT_AUDIO_CONFIG = {
+  windowSize: 16384,
+  windowType: 'hann',
+  kaiserBeta: 8.6,
+  hopSize: 1024,
+  minHz: 50,
+  maxHz: 5000,
+  smoothingMode: 'ema',
+  smoothingAttackMs: 40,
+  smoothingReleaseMs: 40,
+  smoothingHoldMs: 150,
+  pcdMinRms: 0.001,
+  pcdThreshold: 0.005,
+  pcdNormalize: 1.0,
+  pcdMethod: 'fft',
+  pcdBins: 12,
+  hpcpHarmonics: 4,
+  hpcpHarmonicDecay: 0.6,
+  hpcpKernelWidth: 4 / 3,
+  hpss: false,
+  hpssBins: 17,
+  refA4: 440,
+  autoTune: false,
+  autoTuneLock: false,
+  maxNotes: 6,
+  noteHarmonics: 8,
+  noteMinSalience: 0.2,
+  onsetThreshold: 1.5,
+  onsetWindowSize: 2048,
+  minBpm: 60,
+  maxBpm: 200,
+  beatsPerBar: 4,
+  pcdSegment: 'off',
+  pcdSegmentReset: false,
+  keyProfile: 'krumhansl',  // KEY_PROFILES key, or { major, minor } tables of 12 values
+  keyWindowSeconds: 8,
+  chordHoldSeconds: 0.5,    // expected chord length; longer = fewer, later changes
+  chordMinScore: 0.6,       // template similarity below which a frame is "no chord"
+};
+
+/**
+ * Available PCD engines, selected with `config.pcdMethod`:
+ *  - 'fft': every FFT bin above threshold goes to its nearest pitch class
+ *  - 'cqt': constant-Q style chroma with equal resolution per semitone
+ *  - 'hpcp': harmonic pitch class profile from interpolated spectral peaks,
+ *            tuned by the `hpcp*` options
+ */
+export const PCD_METHODS = ['fft', 'cqt', 'hpcp'];
+
+// `pcdBins` splits the octave into that many equal pitch-class bins (N-EDO,
+// MIN_BINS..MAX_BINS; see edo.js). Changing it reallocates `pcd` and `rawPcd`.
+
+/**
+ * Beat-synchronous PCD segmentation, selected with `config.pcdSegment`:
+ * 'off', or one segment per 'beat' or per 'bar' (`beatsPerBar` beats). With
+ * `pcdSegmentReset` the smoothed PCD is replaced by the running mean of the
+ * current segment, so the display restarts at every boundary.
+ */
+export const PCD_SEGMENTS = ['off', 'beat', 'bar'];
+
+// The smoothed `pcd` follows `rawPcd` with the `smoothing*` options: a mode
+// from SMOOTHING_MODES and attack/release/hold times in milliseconds, so the
+// response doesn't change with `hopSize` or the sample rate (see smoothing.js).
+
+export const DEFAULT_TUNER_CONFIG = {
+  enabled: true,
+  minHz: 70,
+  maxHz: 1800,
+  minProminence: 6.0,
+  minRMS: 0.003,
+  smoothingMode: 'ema',     // needle smoothing, applied by the UI with a Smoother
+  smoothingAttackMs: 50,
+  smoothingReleaseMs: 50,
+  smoothingHoldMs: 150,
+  algorithm: 'fft',
+  minConfidence: 0.85,
+  windowSize: 2048,
+  temperament: 'equal', // TEMPERAMENTS key, or 12 cents values above the tonic
+  tonic: 0,             // pitch class of the temperament's first degree (0 = C)
+};
+
+/** Mean square of a Hann window; the PCD frame RMS is measured through one. */
+const HANN_POWER_GAIN = 0.375;
+
+function frameRms(buffer) {
+  let sum = 0;
+  for (let i = 0; i < buffer.length; i++) {
+    const sample = buffer[i];
+    sum += sample * sample;
+  }
+  return Math.sqrt(sum / buffer.length);
+}
+
+function toPowerOfTwo(value) {
+  const clamped = Math.max(32, value | 0);
+  const exponent = Math.round(Math.log2(clamped));
+  return 1 << Math.max(5, exponent); // Ensure at least 32 samples
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+/** Validates the `smoothing*` keys of `updates` into `target` (audio or tuner config). */
+function applySmoothingOptions(target, updates) {
+  if (updates.smoothingMode !== undefined && SMOOTHING_MODES.includes(updates.smoothingMode)) {
+    target.smoothingMode = updates.smoothingMode;
+  }
+  for (const key of ['smoothingAttackMs', 'smoothingReleaseMs', 'smoothingHoldMs']) {
+    if (updates[key] !== undefined) target[key] = clamp(updates[key], 0, 10000);
+  }
+}
+
+/**
+ * DOM-free streaming analyzer. Owns the ring buffer, hop scheduling,
+ * windowing, FFT, PCD and primary-pitch detection. Samples are pushed in
+ * arbitrary block sizes; a frame result is produced every `hopSize` samples
+ * once a full window has been collected.
+ *
+ * Frame results reuse internal buffers (`pcd`, `rawPcd`, `magnitudes`) and are
+ * only valid until the next frame is produced. Copy them if you keep them.
+ */
+export class PcdAnalyzer {
+  /**
+   * @param {object} [config] - Audio config overrides, plus an optional
+   *   `tuner` object with tuner config overrides.
+   * @param {number} [sampleRate=48000]
+   */
+  constructor(config = {}, sampleRate = 48000) {
+    const { tuner, ...audioConfig } = config;
+    this.config = { ...DEFAULT_AUDIO_CONFIG };
+    this.tunerConfig = { ...DEFAULT_TUNER_CONFIG };
+    this.temperamentOffsets = temperamentOffsets(this.tunerConfig.temperament, this.tunerConfig.tonic);
+    this.sampleRate = sampleRate;
+
+    this.fft = new RealFFT();
+    this.tuning = new TuningEstimator();
+    this.pitchDetector = new TimeDomainPitchDetector();
+    this.multiPitch = new MultiPitchEstimator();
+    this.onsets = new SpectralFluxOnsetDetector();
+    this.tempo = new TempoTracker();
+    this.hpss = new HarmonicPercussiveSeparator();
+    this.smoother = new Smoother();
+    this.keys = new KeyEstimator();
+    this.chords = new ChordRecognizer();
+    this.keyProfile = resolveKeyProfile(this.config.keyProfile);
+    this.segmentSum = new Float32Array(this.config.pcdBins);
+    this.segmentFrames = 0;
+    this.segmentStart = null;
+    this.segmentBeats = 0;
+    this.tunerBuffer = null;
+    this.tunerHopCounter = 0;
+    this.tunerEstimate = null;
+    this.pcdComputers = {
+      fft: new PitchClassComputer(),
+      cqt: new ConstantQChromaComputer(),
+      hpcp: new HpcpComputer(),
+    };
+
+    this.windowFn = getWindow(this.config.windowType, this.config.windowSize, this.config);
+    this.rmsScale = 1;
+    this.ringBuffer = new Float32Array(this.config.windowSize);
+    this.analysisBuffer = new Float32Array(this.config.windowSize);
+    this.writeIndex = 0;
+    this.filled = 0;
+    this.hopCounter = 0;
+    this.samplesSeen = 0;
+
+    this.currentPcd = new Float32Array(this.config.pcdBins);
+    this.rawPcd = new Float32Array(this.config.pcdBins);
+    this.lastRms = 0;
+
+    this.updateConfig(audioConfig);
+    this.updateTuner(tuner || {});
+  }
+
+  setSampleRate(sampleRate) {
+    this.sampleRate = sampleRate;
+  }
+
+  updateConfig(updates = {}) {
+    if (typeof updates !== 'object') return;
+
+    const cfg = this.config;
+    let reinitWindow = false;
+
+    if (updates.windowSize && updates.windowSize !== cfg.windowSize) {
+      const size = toPowerOfTwo(updates.windowSize);
+      if (size !== cfg.windowSize) {
+        cfg.windowSize = size;
+        this.ringBuffer = new Float32Array(size);
+        this.analysisBuffer = new Float32Array(size);
+        reinitWindow = true;
+      }
+    }
+
+    if (updates.windowType !== undefined && WINDOW_TYPES.includes(updates.windowType)) {
+      cfg.windowType = updates.windowType;
+    }
+    if (updates.kaiserBeta !== undefined) {
+      cfg.kaiserBeta = clamp(updates.kaiserBeta, 0, 20);
+    }
+    this.windowFn = getWindow(cfg.windowType, cfg.windowSize, cfg);
+    this.rmsScale = windowRmsScale(this.windowFn);
+
+    if (updates.hopSize) {
+      cfg.hopSize = Math.max(1, updates.hopSize | 0);
+    }
+
+    if (updates.minHz !== undefined) {
+      cfg.minHz = Math.max(0, updates.minHz);
+    }
+    if (updates.maxHz !== undefined) {
+      cfg.maxHz = Math.max(cfg.minHz + 1, updates.maxHz);
+    }
+    if (cfg.maxHz <= cfg.minHz) {
+      cfg.maxHz = cfg.minHz + 1;
+    }
+
+    applySmoothingOptions(cfg, updates);
+    if (updates.pcdMinRms !== undefined) {
+      cfg.pcdMinRms = Math.max(0, updates.pcdMinRms);
+    }
+    if (updates.pcdThreshold !== undefined) {
+      cfg.pcdThreshold = Math.max(0, updates.pcdThreshold);
+    }
+    if (updates.pcdNormalize !== undefined) {
+      cfg.pcdNormalize = Math.max(0.1, updates.pcdNormalize);
+    }
+    if (updates.pcdMethod !== undefined && PCD_METHODS.includes(updates.pcdMethod)) {
+      cfg.pcdMethod = updates.pcdMethod;
+    }
+    if (updates.pcdBins !== undefined) {
+      const bins = clamp(Math.round(updates.pcdBins), MIN_BINS, MAX_BINS);
+      if (bins !== cfg.pcdBins) {
+        cfg.pcdBins = bins;
+        this.currentPcd = new Float32Array(bins);
+        this.rawPcd = new Float32Array(bins);
+        this.segmentSum = new Float32Array(bins);
+        this.resetSegment(null);
+      }
+    }
+    if (updates.hpcpHarmonics !== undefined) {
+      cfg.hpcpHarmonics = clamp(Math.round(updates.hpcpHarmonics), 1, 16);
+    }
+    if (updates.hpcpHarmonicDecay !== undefined) {
+      cfg.hpcpHarmonicDecay = clamp(updates.hpcpHarmonicDecay, 0, 1);
+    }
+    if (updates.hpcpKernelWidth !== undefined) {
+      cfg.hpcpKernelWidth = clamp(updates.hpcpKernelWidth, 0.1, 6);
+    }
+    if (updates.hpss !== undefined) {
+      const hpss = Boolean(updates.hpss);
+      if (hpss !== cfg.hpss) this.hpss.reset();
+      cfg.hpss = hpss;
+    }
+    if (updates.hpssBins !== undefined) {
+      cfg.hpssBins = clamp(Math.round(updates.hpssBins) | 1, 3, 63);
+    }
+    if (updates.refA4 !== undefined) {
+      const refA4 = Math.max(1, updates.refA4);
+      if (refA4 !== cfg.refA4) this.tuning.reset(); // estimates are relative to the base
+      cfg.refA4 = refA4;
+    }
+    if (updates.autoTune !== undefined) {
+      const autoTune = Boolean(updates.autoTune);
+      if (autoTune !== cfg.autoTune) this.tuning.reset();
+      cfg.autoTune = autoTune;
+    }
+    if (updates.autoTuneLock !== undefined) {
+      cfg.autoTuneLock = Boolean(updates.autoTuneLock);
+    }
+    if (updates.maxNotes !== undefined) {
+      cfg.maxNotes = clamp(Math.round(updates.maxNotes), 0, 12);
+    }
+    if (updates.noteHarmonics !== undefined) {
+      cfg.noteHarmonics = clamp(Math.round(updates.noteHarmonics), 1, 20);
+    }
+    if (updates.noteMinSalience !== undefined) {
+      cfg.noteMinSalience = clamp(updates.noteMinSalience, 0, 1);
+    }
+    if (updates.onsetThreshold !== undefined) {
+      cfg.onsetThreshold = clamp(updates.onsetThreshold, 1, 10);
+    }
+    if (updates.onsetWindowSize !== undefined) {
+      cfg.onsetWindowSize = clamp(toPowerOfTwo(updates.onsetWindowSize), 256, 8192);
+    }
+    if (updates.minBpm !== undefined) {
+      cfg.minBpm = clamp(updates.minBpm, 20, 300);
+    }
+    if (updates.maxBpm !== undefined) {
+      cfg.maxBpm = clamp(updates.maxBpm, 30, 400);
+    }
+    if (cfg.maxBpm < cfg.minBpm * 1.5) {
+      cfg.maxBpm = cfg.minBpm * 1.5;
+    }
+    if (updates.beatsPerBar !== undefined) {
+      cfg.beatsPerBar = clamp(Math.round(updates.beatsPerBar), 1, 16);
+    }
+    if (updates.pcdSegment !== undefined && PCD_SEGMENTS.includes(updates.pcdSegment)) {
+      if (updates.pcdSegment !== cfg.pcdSegment) this.resetSegment(null);
+      cfg.pcdSegment = updates.pcdSegment;
+    }
+    if (updates.pcdSegmentReset !== undefined) {
+      cfg.pcdSegmentReset = Boolean(updates.pcdSegmentReset);
+    }
+    if (updates.keyProfile !== undefined) {
+      // An invalid profile keeps the previous one
+      const profile = resolveKeyProfile(updates.keyProfile);
+      if (profile) {
+        cfg.keyProfile = typeof updates.keyProfile === 'string' ? updates.keyProfile : profile;
+        this.keyProfile = profile;
+      }
+    }
+    if (updates.keyWindowSeconds !== undefined) {
+      cfg.keyWindowSeconds = clamp(updates.keyWindowSeconds, 0.5, 120);
+    }
+    if (updates.chordHoldSeconds !== undefined) {
+      cfg.chordHoldSeconds = clamp(updates.chordHoldSeconds, 0.05, 10);
+    }
+    if (updates.chordMinScore !== undefined) {
+      cfg.chordMinScore = clamp(updates.chordMinScore, 0, 1);
+    }
+
+    if (reinitWindow) {
+      this.reset();
+    }
+
+    cfg.hopSize = Math.min(cfg.hopSize, cfg.windowSize);
+  }
+
+  updateTuner(updates = {}) {
+    if (typeof updates !== 'object') return;
+    const { algorithm, temperament, tonic, smoothingMode, smoothingAttackMs, smoothingReleaseMs, smoothingHoldMs, ...rest } = updates;
+    Object.assign(this.tunerConfig, rest);
+    applySmoothingOptions(this.tunerConfig, updates);
+    if (algorithm !== undefined && TUNER_ALGORITHMS.includes(algorithm)) {
+      this.tunerConfig.algorithm = algorithm;
+    }
+
+    // An invalid temperament or tonic keeps the previous one
+    const tuner = this.tunerConfig;
+    if (temperament !== undefined || tonic !== undefined) {
+      const nextTemperament = temperament !== undefined ? temperament : tuner.temperament;
+      const nextTonic = tonic !== undefined ? tonic : tuner.tonic;
+      const offsets = temperamentOffsets(nextTemperament, nextTonic);
+      if (offsets) {
+        tuner.temperament = Array.isArray(nextTemperament) ? nextTemperament.slice() : nextTemperament;
+        tuner.tonic = ((Math.round(nextTonic) % 12) + 12) % 12;
+        this.temperamentOffsets = offsets;
+      }
+    }
+  }
+
+  /**
+   * Appends samples to the ring buffer, invoking `onFrame` for every
+   * completed analysis hop. With a time-domain tuner algorithm the tuner
+   * runs on its own schedule, every half `tunerConfig.windowSize` samples
+   * once that many have arrived, and reports each estimate to `onPitch`
+   * without waiting for the PCD window.
+   * @param {Float32Array} samples
+   * @param {(frame: object) => void} onFrame
+   * @param {(pitch: {primary:object|null, time:number}) => void} [onPitch]
+   */
+  push(samples, onFrame, onPitch) {
+    const windowSize = this.config.windowSize;
+    const tuner = this.tunerConfig;
+    const timeDomain = tuner.enabled && (tuner.algorithm === 'yin' || tuner.algorithm === 'mpm');
+    const tunerLength = this.tunerLength();
+    const tunerHop = Math.max(1, tunerLength >> 1);
+
+    for (let i = 0; i < samples.length; i++) {
+      this.samplesSeen++;
+      this.ringBuffer[this.writeIndex++] = samples[i];
+      if (this.writeIndex >= windowSize) this.writeIndex = 0;
+      if (this.filled < windowSize) this.filled++;
+      if (timeDomain) {
+        this.tunerHopCounter++;
+        if (this.tunerHopCounter >= tunerHop && this.filled >= tunerLength) {
+          this.tunerHopCounter = 0;
+          const pitch = this.processTuner();
+          if (onPitch) onPitch(pitch);
+        }
+      }
+      this.hopCounter++;
+      if (this.hopCounter >= this.config.hopSize && this.filled >= windowSize) {
+        this.hopCounter = 0;
+        onFrame(this.processFrame());
+      }
+    }
+  }
+
+  /**
+   * Runs the time-domain tuner on the newest `tunerConfig.windowSize` raw
+   * samples and keeps the estimate for the next PCD frame.
+   * @returns {{primary:object|null, time:number}} `primary` as in frame
+   *   results; `time` is the stream position of the newest sample.
+   */
+  processTuner() {
+    const tuner = this.tunerConfig;
+    const samples = this.copyTunerSamples();
+    let est = null;
+    // Gate on the short buffer's level, expressed on the Hann-windowed scale
+    const tunerRms = frameRms(samples) * Math.sqrt(HANN_POWER_GAIN);
+    if (tunerRms >= tuner.minRMS) {
+      const detected = this.pitchDetector.detect(samples, this.sampleRate, tuner.minHz, tuner.maxHz, tuner.algorithm);
+      if (detected && detected.confidence >= tuner.minConfidence) {
+        est = { freq: detected.freq, prominenceDb: null, confidence: detected.confidence };
+      }
+    }
+    this.tunerEstimate = est;
+    return { primary: this.describePitch(est, this.effectiveRefA4()), time: this.samplesSeen / this.sampleRate };
+  }
+
+  /** `refA4` corrected by the auto-tune offset when `autoTune` is on. */
+  effectiveRefA4() {
+    const cfg = this.config;
+    return cfg.autoTune ? cfg.refA4 * Math.pow(2, this.tuning.getOffsetCents() / 1200) : cfg.refA4;
+  }
+
+  /**
+   * Analyzes the current contents of the ring buffer.
+   * @returns {{pcd:Float32Array,rawPcd:Float32Array,rms:number,magnitudes:Float32Array,primary:object|null,notes:object[],tuning:object|null,onset:object|null,beat:object|null,tempo:object|null,segment:object|null,key:object|null,chord:object|null,percussiveRatio:number|null,sampleRate:number,time:number}}
+   *   `time` is the stream position (seconds) of the newest sample in the window.
+   *   `primary.confidence` is set by the time-domain tuner algorithms and
+   *   `primary.prominenceDb` by 'fft'; the other one is null. With a
+   *   time-domain algorithm `primary` is the tuner's latest estimate (see
+   *   push). `primary.step`
+   *   is its nearest of the `pcdBins` bins and `primary.stepCents` the offset
+   *   from that bin's centre (the same as `pitchClass`/`cents` at 12 bins).
+   *   `primary.tempered` is `{midi, pitchClass, cents, targetFreq, phase}`:
+   *   the nearest note of the tuner's `temperament` and the deviation from
+   *   it. `phase` and `primary.stepPhase` are the signal's phase against the
+   *   tempered note and the bin centre (see targetPhase), for strobe display.
+   *   `notes` lists the simultaneous pitches `{midi, freq, cents, salience}`
+   *   found by the multi-pitch estimator (up to `maxNotes`).
+   *   `tuning` is `{refA4, cents, confidence, locked}` when `autoTune` is on:
+   *   the reference in effect and its offset from the configured `refA4`.
+   *   `onset` is `{time, strength}` when an onset was confirmed, `beat` is
+   *   `{time, index, downbeat, bpm}` when a beat fell in this hop and `tempo`
+   *   is `{bpm, confidence}` once a tempo has been estimated; all are null
+   *   otherwise. `segment` is `{start, end, beats, pcd}` when `pcdSegment` is
+   *   on and a segment ended: the mean PCD between two boundaries.
+   *   `key` is the KeyEstimator result over the last `keyWindowSeconds`
+   *   (`{tonic, mode, name, confidence, candidates}`), null in silence.
+   *   `chord` is the ChordRecognizer's `{label, root, type, bass,
+   *   confidence}` for this frame, null when no chord is recognized.
+   *   `percussiveRatio` (0..1) is the percussive share of the frame's energy
+   *   when `hpss` is on, null otherwise.
+   */
+  processFrame() {
+    const windowSize = this.config.windowSize;
+    const start = this.writeIndex % windowSize;
+    const first = this.ringBuffer.subarray(start);
+    this.analysisBuffer.set(first, 0);
+    if (start > 0) {
+      this.analysisBuffer.set(this.ringBuffer.subarray(0, start), first.length);
+    }
+
+    // Onsets use their own short FFT of the newest raw samples
+    const cfg = this.config;
+    const time = this.samplesSeen / this.sampleRate;
+    const hopSeconds = cfg.hopSize / this.sampleRate;
+    const onsetSize = Math.min(cfg.onsetWindowSize, windowSize);
+    const flux = this.onsets.process(
+      this.analysisBuffer.subarray(windowSize - onsetSize), time, this.sampleRate, hopSeconds, cfg);
+    const beat = this.tempo.update(flux.time, flux.novelty, hopSeconds, cfg);
+
+    const windowFn = this.windowFn;
+    for (let i = 0; i < windowSize; i++) {
+      this.analysisBuffer[i] *= windowFn[i];
+    }
+
+    const rms = frameRms(this.analysisBuffer) * this.rmsScale;
+    this.lastRms = rms;
+
+    const magnitudes = this.fft.transform(this.analysisBuffer);
+
+    let options = cfg;
+    let tuning = null;
+    if (cfg.autoTune) {
+      if (!cfg.autoTuneLock && rms >= cfg.pcdMinRms) {
+        this.tuning.update(magnitudes, this.sampleRate, cfg.hopSize / this.sampleRate, cfg);
+      }
+      const cents = this.tuning.getOffsetCents();
+      const refA4 = cfg.refA4 * Math.pow(2, cents / 1200);
+      tuning = { refA4, cents, confidence: this.tuning.confidence, locked: cfg.autoTuneLock };
+      options = { ...cfg, refA4 };
+    }
+
+    // Only the harmonic part feeds the PCD when separation is on
+    let pcdMagnitudes = magnitudes;
+    let percussiveRatio = null;
+    if (cfg.hpss) {
+      const separated = this.hpss.process(magnitudes, this.sampleRate, cfg);
+      pcdMagnitudes = separated.harmonic;
+      percussiveRatio = separated.percussiveRatio;
+    }
+
+    const pcdComputer = this.pcdComputers[cfg.pcdMethod];
+    let rawPcd;
+    if (rms >= cfg.pcdMinRms) {
+      rawPcd = pcdComputer.compute(pcdMagnitudes, this.sampleRate, options);
+    } else {
+      rawPcd = pcdComputer.getSilentOutput(cfg.pcdBins);
+    }
+    this.rawPcd.set(rawPcd);
+
+    const notes = rms >= cfg.pcdMinRms
+      ? this.multiPitch.estimate(magnitudes, this.sampleRate, options)
+      : [];
+
+    let segment = null;
+    if (cfg.pcdSegment !== 'off') {
+      if (beat) {
+        if (this.segmentStart !== null) this.segmentBeats++;
+        if (cfg.pcdSegment === 'beat' || beat.downbeat) {
+          if (this.segmentStart !== null && this.segmentFrames > 0) {
+            segment = {
+              start: this.segmentStart,
+              end: beat.time,
+              beats: this.segmentBeats,
+              pcd: this.segmentMean(new Float32Array(cfg.pcdBins)),
+            };
+          }
+          this.resetSegment(beat.time);
+        }
+      }
+      if (this.segmentStart !== null) {
+        for (let i = 0; i < this.rawPcd.length; i++) this.segmentSum[i] += this.rawPcd[i];
+        this.segmentFrames++;
+      }
+    }
+
+    if (cfg.pcdSegmentReset && this.segmentStart !== null) {
+      this.segmentMean(this.currentPcd);
+    } else {
+      this.smoother.process(this.rawPcd, this.currentPcd, hopSeconds, cfg);
+    }
+
+    const key = this.keys.update(this.currentPcd, hopSeconds, cfg.keyWindowSeconds, this.keyProfile);
+
+    // The HMM does its own smoothing, so chords follow the raw PCD
+    const chord = this.chords.update(this.rawPcd, notes, hopSeconds, cfg);
+
+    // The time-domain tuner has already run on its own hops (see push)
+    const tuner = this.tunerConfig;
+    let est = null;
+    if (tuner.algorithm === 'yin' || tuner.algorithm === 'mpm') {
+      est = tuner.enabled ? this.tunerEstimate : null;
+    } else if (tuner.enabled && rms >= tuner.minRMS) {
+      const peak = estimatePrimary(magnitudes, this.sampleRate, tuner.minHz, tuner.maxHz);
+      if (peak && peak.prominenceDb >= tuner.minProminence) {
+        est = { freq: peak.freq, prominenceDb: peak.prominenceDb, confidence: null };
+      }
+    }
+    const primary = this.describePitch(est, options.refA4);
+
+    return {
+      pcd: this.currentPcd,
+      rawPcd: this.rawPcd,
+      rms,
+      magnitudes,
+      primary,
+      notes,
+      tuning,
+      onset: flux.onset,
+      beat,
+      tempo: this.tempo.bpm > 0 ? { bpm: this.tempo.bpm, confidence: this.tempo.confidence } : null,
+      segment,
+      key,
+      chord,
+      percussiveRatio,
+      sampleRate: this.sampleRate,
+      time,
+    };
+  }
+
+  /**
+   * Turns a tuner estimate into a frame's `primary` (see processFrame).
+   * @param {{freq:number, prominenceDb:number|null, confidence:number|null}|null} est
+   * @param {number} refA4
+   * @returns {object|null}
+   */
+  describePitch(est, refA4) {
+    const cfg = this.config;
+    let primary = null;
+    if (est) {
+      const midiReal = 69 + 12 * Math.log2(est.freq / refA4);
+      const nearest = Math.round(midiReal);
+      const cents = (midiReal - nearest) * 100;
+      const pitchClass = ((nearest % 12) + 12) % 12;
+      const position = binPosition(est.freq, refA4, cfg.pcdBins);
+      const step = Math.round(position);
+      const tempered = temperedPitch(midiReal, this.temperamentOffsets);
+      const stepCents = (position - step) * 1200 / cfg.pcdBins;
+      const targetFreq = refA4 * Math.pow(2, (tempered.targetMidi - 69) / 12);
+      primary = {
+        freq: est.freq,
+        prominenceDb: est.prominenceDb,
+        confidence: est.confidence,
+        cents,
+        pitchClass,
+        nearestMidi: nearest,
+        midi: midiReal,
+        step: step % cfg.pcdBins,
+        stepCents,
+        stepPhase: this.targetPhase(est.freq / Math.pow(2, stepCents / 1200)),
+        tempered: {
+          midi: tempered.midi,
+          pitchClass: tempered.pitchClass,
+          cents: tempered.cents,
+          targetFreq,
+          phase: this.targetPhase(targetFreq),
+        },
+      };
+    }
+    return primary;
+  }
+
+  /**
+   * Phase (cycles, [0, 1)) of the newest tuner-length samples heterodyned
+   * with an oscillator at `freq` that started with the stream. It holds still
+   * while the signal is at `freq` and otherwise advances by the difference
+   * in Hz every second, rising when the signal is sharp.
+   * @param {number} freq
+   * @returns {number}
+   */
+  targetPhase(freq) {
+    const samples = this.copyTunerSamples();
+    const window = hannWindow(samples.length);
+    const cycles = freq / this.sampleRate;
+    // Oscillator phase at the first sample, reduced before it loses precision
+    const start = ((this.samplesSeen - samples.length) * cycles) % 1;
+    let re = 0;
+    let im = 0;
+    for (let i = 0; i < samples.length; i++) {
+      const angle = 2 * Math.PI * (start + i * cycles);
+      const value = samples[i] * window[i];
+      re += value * Math.cos(angle);
+      im -= value * Math.sin(angle);
+    }
+    const phase = Math.atan2(im, re) / (2 * Math.PI);
+    return phase - Math.floor(phase);
+  }
+
+  /**
+   * Writes the mean raw PCD of the current segment, rescaled to sum to 1,
+   * into `output`.
+   * @param {Float32Array} output
+   * @returns {Float32Array} `output`
+   */
+  segmentMean(output) {
+    output.set(this.segmentSum);
+    return normalizePcd(output, 1);
+  }
+
+  resetSegment(start) {
+    this.segmentSum.fill(0);
+    this.segmentFrames = 0;
+    this.segmentStart = start;
+    this.segmentBeats = 0;
+  }
+
+  /** Tuner buffer length: `tunerConfig.windowSize`, capped at the analysis window. */
+  tunerLength() {
+    return clamp(this.tunerConfig.windowSize | 0, 64, this.config.windowSize);
+  }
+
+  /**
+   * Copies the newest `tunerLength()` raw samples out of the ring buffer.
+   * @returns {Float32Array}
+   */
+  copyTunerSamples() {
+    const length = this.tunerLength();
+    if (!this.tunerBuffer || this.tunerBuffer.length !== length) {
+      this.tunerBuffer = new Float32Array(length);
+    }
+    const ring = this.ringBuffer;
+    const start = this.writeIndex - length;
+    if (start >= 0) {
+      this.tunerBuffer.set(ring.subarray(start, this.writeIndex));
+    } else {
+      const tail = ring.subarray(ring.length + start);
+      this.tunerBuffer.set(tail);
+      this.tunerBuffer.set(ring.subarray(0, this.writeIndex), tail.length);
+    }
+    return this.tunerBuffer;
+  }
+
+  reset() {
+    this.samplesSeen = 0;
+    this.writeIndex = 0;
+    this.filled = 0;
+    this.hopCounter = 0;
+    this.tunerHopCounter = 0;
+    this.tunerEstimate = null;
+    this.ringBuffer.fill(0);
+    this.analysisBuffer.fill(0);
+    this.currentPcd.fill(0);
+    this.rawPcd.fill(0);
+    this.smoother.reset();
+    this.keys.reset();
+    this.chords.reset();
+    this.lastRms = 0;
+    if (!this.config.autoTuneLock) this.tuning.reset();
+    this.onsets.reset();
+    this.tempo.reset();
+    this.hpss.reset();
+    this.resetSegment(null);
+  }
+}
+
+/**
+ * Runs the full analysis over a block of samples in one go, without any
+ * browser APIs. Suitable for Node batch jobs and regression tests.
+ * @param {Float32Array} samples - Mono PCM samples in [-1, 1].
+ * @param {number} sampleRate
+ * @param {object} [config] - Same shape as the AudioProcessor constructor
+ *   config (audio options plus optional `tuner`).
+ * @param {object} [options]
+ * @param {boolean} [options.includeMagnitudes=false] - Copy the magnitude
+ *   spectrum into each frame result.
+ * @returns {Array<{time:number,pcd:Float32Array,rawPcd:Float32Array,rms:number,primary:object|null,notes:object[],onset:object|null,beat:object|null,tempo:object|null,segment:object|null,key:object|null,chord:object|null,percussiveRatio:number|null}>}
+ */
+export function analyzeSamples(samples, sampleRate, config = {}, { includeMagnitudes = false } = {}) {
+  const analyzer = new PcdAnalyzer(config, sampleRate);
+  const frames = [];
+  analyzer.push(samples, frame => {
+    const result = {
+      time: frame.time,
+      pcd: Float32Array.from(frame.pcd),
+      rawPcd: Float32Array.from(frame.rawPcd),
+      rms: frame.rms,
+      primary: frame.primary,
+      notes: frame.notes,
+      onset: frame.onset,
+      beat: frame.beat,
+      tempo: frame.tempo,
+      segment: frame.segment,
+      key: frame.key,
+      chord: frame.chord,
+      percussiveRatio: frame.percussiveRatio,
+    };
+    if (includeMagnitudes) result.magnitudes = Float32Array.from(frame.magnitudes);
+    frames.push(result);
+  });
+  return frames;
+}
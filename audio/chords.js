@@ -0,0 +1,340 @@
+import { binPitchClass } from './edo.js';
+
+/**
+ * Chord vocabulary: intervals above the root (semitones) and the label
+ * suffix. Every type is tried on all 12 roots.
+ */
+export const CHORD_TYPES = [
+  { type: 'maj', suffix: '', intervals: [0, 4, 7] },
+  { type: 'min', suffix: 'm', intervals: [0, 3, 7] },
+  { type: 'dim', suffix: 'dim', intervals: [0, 3, 6] },
+  { type: 'aug', suffix: 'aug', intervals: [0, 4, 8] },
+  { type: 'sus2', suffix: 'sus2', intervals: [0, 2, 7] },
+  { type: 'sus4', suffix: 'sus4', intervals: [0, 5, 7] },
+  { type: '7', suffix: '7', intervals: [0, 4, 7, 10] },
+  { type: 'maj7', suffix: 'maj7', intervals: [0, 4, 7, 11] },
+  { type: 'min7', suffix: 'm7', intervals: [0, 3, 7, 10] },
+  { type: 'hdim7', suffix: 'm7b5', intervals: [0, 3, 6, 10] },
+  { type: 'dim7', suffix: 'dim7', intervals: [0, 3, 6, 9] },
+  { type: 'add9', suffix: 'add9', intervals: [0, 2, 4, 7] },
+  { type: '5', suffix: '5', intervals: [0, 7] },
+];
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+/**
+ * Log-likelihood per unit of template similarity. Similarities of competing
+ * chords differ by ~0.1, so this sets how many frames of evidence outweigh
+ * the cost of a chord change.
+ */
+const EMISSION_SHARPNESS = 20;
+
+/** HMM states: 0 is "no chord", then every type on every root. */
+const STATES = [null];
+for (let root = 0; root < 12; root++) {
+  for (const chord of CHORD_TYPES) {
+    const template = new Float64Array(12);
+    const tones = chord.intervals.map(i => (root + i) % 12);
+    for (const pc of tones) template[pc] = 1 / Math.sqrt(tones.length);
+    STATES.push({ root, type: chord.type, suffix: chord.suffix, tones, template });
+  }
+}
+
+/** States spelling the same pitch classes (Csus2 = Gsus4, Caug = Eaug), by tone set. */
+const SAME_TONES = new Map();
+for (let s = 1; s < STATES.length; s++) {
+  const key = [...STATES[s].tones].sort((a, b) => a - b).join(',');
+  if (!SAME_TONES.has(key)) SAME_TONES.set(key, []);
+  SAME_TONES.get(key).push(s);
+  STATES[s].sameTones = SAME_TONES.get(key);
+}
+
+/**
+ * "C", "F#m7", "Gsus4/D".
+ * @param {number} root
+ * @param {string} type - A CHORD_TYPES `type`.
+ * @param {number|null} [bass] - Bass pitch class, for inversions.
+ * @param {string[]} [names] - 12 pitch-class names starting at C.
+ * @returns {string}
+ */
+export function chordLabel(root, type, bass = null, names = NOTE_NAMES) {
+  const chord = CHORD_TYPES.find(c => c.type === type);
+  const label = names[root] + (chord ? chord.suffix : '');
+  return bass === null || bass === root ? label : `${label}/${names[bass]}`;
+}
+
+/** Folds a PCD of any bin count onto 12 pitch classes, L2-normalized. */
+function foldChroma(pcd, output) {
+  output.fill(0);
+  const bins = pcd.length;
+  for (let bin = 0; bin < bins; bin++) output[binPitchClass(bin, bins)] += pcd[bin];
+  let norm = 0;
+  for (let pc = 0; pc < 12; pc++) norm += output[pc] * output[pc];
+  norm = Math.sqrt(norm);
+  if (norm > 0) for (let pc = 0; pc < 12; pc++) output[pc] /= norm;
+  return norm;
+}
+
+/**
+ * Cosine similarity of the chroma with every state's template (0..1); the
+ * no-chord state scores `minScore`, or 1 when the frame is silent.
+ * Two-tone templates (power chords) need both tones: their score is capped
+ * at four times the weaker tone's share, which only binds when that tone is
+ * under a third of the stronger one. A lone note would otherwise match
+ * every power chord that contains it equally well.
+ */
+function scoreStates(pcd, minScore, chroma, scores) {
+  const norm = foldChroma(pcd, chroma);
+  scores[0] = norm > 0 ? minScore : 1;
+  for (let s = 1; s < STATES.length; s++) {
+    const { template, tones } = STATES[s];
+    let dot = 0;
+    let weakest = Infinity;
+    for (const pc of tones) {
+      dot += chroma[pc] * template[pc];
+      weakest = Math.min(weakest, chroma[pc] * template[pc]);
+    }
+    scores[s] = tones.length === 2 ? Math.min(dot, 4 * weakest) : dot;
+  }
+  return scores;
+}
+
+/** Pitch class of the lowest detected note, or null. */
+function lowestPitchClass(notes) {
+  let lowest = null;
+  for (const note of notes || []) {
+    if (lowest === null || note.midi < lowest) lowest = note.midi;
+  }
+  return lowest === null ? null : ((Math.round(lowest) % 12) + 12) % 12;
+}
+
+/** Log stay/switch transition weights for an expected chord length. */
+function transitions(frameSeconds, holdSeconds) {
+  const stay = Math.exp(-frameSeconds / Math.max(1e-3, holdSeconds));
+  return {
+    stay: Math.log(Math.max(1e-12, stay)),
+    move: Math.log(Math.max(1e-12, (1 - stay) / (STATES.length - 1))),
+  };
+}
+
+function toChord(state, score, bass) {
+  // Of chords with the same notes, the one rooted on the bass wins
+  const rooted = bass === null ? null : STATES[state].sameTones.find(s => STATES[s].root === bass);
+  const chord = STATES[rooted ?? state];
+  // A bass note in the chord other than its root makes it an inversion
+  const inversion = bass !== null && bass !== chord.root && chord.tones.includes(bass) ? bass : chord.root;
+  return {
+    label: chordLabel(chord.root, chord.type, inversion),
+    root: chord.root,
+    type: chord.type,
+    bass: inversion,
+    confidence: score,
+  };
+}
+
+/**
+ * Template-matching chord recognizer with HMM smoothing.
+ *
+ * Each frame's PCD is folded onto 12 pitch classes and compared with a
+ * binary template for every chord of CHORD_TYPES on every root, plus a
+ * "no chord" state that scores `chordMinScore`. The scores drive an HMM whose
+ * states keep their chord for `chordHoldSeconds` on average and switch to
+ * any other with equal probability; the streaming recognizer reports the
+ * end state of the best (Viterbi) path so far, so a new chord has to win
+ * over several frames before it is reported. `recognizeChords` decodes a
+ * whole recording with backtracking instead.
+ *
+ * The lowest note of the frame's polyphonic `notes` is the bass: when it is
+ * a chord tone other than the root the chord is labelled as an inversion
+ * ("C/E").
+ */
+export class ChordRecognizer {
+  constructor() {
+    this.chroma = new Float64Array(12);
+    this.scores = new Float64Array(STATES.length);
+    this.delta = new Float64Array(STATES.length);
+    this.reset();
+  }
+
+  reset() {
+    this.primed = false;
+  }
+
+  /**
+   * @param {Float32Array} pcd - Raw PCD frame, any bin count.
+   * @param {Array<{midi:number}>} notes - Polyphonic notes of the frame.
+   * @param {number} frameSeconds - Frame spacing (the hop).
+   * @param {{chordHoldSeconds:number, chordMinScore:number}} options
+   * @returns {{label:string, root:number, type:string, bass:number, confidence:number}|null}
+   *   The current chord, with `confidence` its template similarity (0..1) in
+   *   this frame; null for no chord.
+   */
+  update(pcd, notes, frameSeconds, options) {
+    const scores = scoreStates(pcd, options.chordMinScore, this.chroma, this.scores);
+    const delta = this.delta;
+
+    if (!this.primed) {
+      for (let s = 0; s < delta.length; s++) delta[s] = EMISSION_SHARPNESS * scores[s];
+      this.primed = true;
+    } else {
+      const { stay, move } = transitions(frameSeconds, options.chordHoldSeconds);
+      let best = -Infinity;
+      for (let s = 0; s < delta.length; s++) best = Math.max(best, delta[s]);
+      for (let s = 0; s < delta.length; s++) {
+        delta[s] = Math.max(delta[s] + stay, best + move) + EMISSION_SHARPNESS * scores[s];
+      }
+    }
+
+    // Keep the path scores near zero
+    let state = 0;
+    for (let s = 1; s < delta.length; s++) if (delta[s] > delta[state]) state = s;
+    const top = delta[state];
+    for (let s = 0; s < delta.length; s++) delta[s] -= top;
+
+    return state === 0 ? null : toChord(state, scores[state], lowestPitchClass(notes));
+  }
+}
+
+/**
+ * Collects per-frame chords into a timeline of `{label, root, type, bass,
+ * start, end, confidence}` entries, one per run of the same label
+ * (`confidence` is the run's mean). Frames without a chord close the open
+ * entry.
+ */
+export class ChordTimeline {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.entries = [];
+    this.open = null;
+  }
+
+  /**
+   * @param {number} time - Stream time of the frame (seconds).
+   * @param {object|null} chord - Frame `chord`.
+   */
+  process(time, chord) {
+    const open = this.open;
+    if (open && chord && chord.label === open.label) {
+      open.end = time;
+      open.sum += chord.confidence;
+      open.frames++;
+      return;
+    }
+    this.flush();
+    if (chord) {
+      const { label, root, type, bass, confidence } = chord;
+      this.open = { label, root, type, bass, start: time, end: time, sum: confidence, frames: 1 };
+    }
+  }
+
+  /** Closes the open entry, if any. */
+  flush() {
+    const open = this.open;
+    if (!open) return;
+    const { sum, frames, ...entry } = open;
+    this.entries.push({ ...entry, confidence: sum / frames });
+    this.open = null;
+  }
+
+  /**
+   * Closed entries plus the open one, oldest first.
+   * @returns {object[]}
+   */
+  getTimeline() {
+    const timeline = this.entries.map(entry => ({ ...entry }));
+    if (this.open) {
+      const { sum, frames, ...entry } = this.open;
+      timeline.push({ ...entry, confidence: sum / frames });
+    }
+    return timeline;
+  }
+}
+
+/**
+ * Offline chord recognition over analyzer frames (e.g. from
+ * `analyzeSamples`): full Viterbi decoding with backtracking, so chord
+ * changes land where the evidence starts rather than where it wins.
+ * @param {Array<{time:number, rawPcd:Float32Array, notes:object[]}>} frames
+ * @param {{chordHoldSeconds:number, chordMinScore:number}} options
+ * @returns {{chords: Array<object|null>, timeline: object[]}} A chord (as
+ *   from ChordRecognizer) per frame, and the deduplicated timeline. Each
+ *   timeline entry takes the bass most frames of its run agree on.
+ */
+export function recognizeChords(frames, options) {
+  const count = frames.length;
+  const states = STATES.length;
+  if (count === 0) return { chords: [], timeline: [] };
+
+  const chroma = new Float64Array(12);
+  const scores = new Float64Array(states);
+  const allScores = new Float64Array(count * states);
+  const pointers = new Int16Array(count * states);
+  let delta = new Float64Array(states);
+  let next = new Float64Array(states);
+
+  for (let t = 0; t < count; t++) {
+    scoreStates(frames[t].rawPcd, options.chordMinScore, chroma, scores);
+    allScores.set(scores, t * states);
+    if (t === 0) {
+      for (let s = 0; s < states; s++) delta[s] = EMISSION_SHARPNESS * scores[s];
+      continue;
+    }
+    const { stay, move } = transitions(Math.max(1e-6, frames[t].time - frames[t - 1].time), options.chordHoldSeconds);
+    let best = 0;
+    for (let s = 1; s < states; s++) if (delta[s] > delta[best]) best = s;
+    for (let s = 0; s < states; s++) {
+      const kept = delta[s] + stay;
+      const moved = delta[best] + move;
+      pointers[t * states + s] = kept >= moved ? s : best;
+      next[s] = Math.max(kept, moved) + EMISSION_SHARPNESS * scores[s];
+    }
+    const top = Math.max(...next);
+    for (let s = 0; s < states; s++) next[s] -= top;
+    [delta, next] = [next, delta];
+  }
+
+  const path = new Int16Array(count);
+  let state = 0;
+  for (let s = 1; s < states; s++) if (delta[s] > delta[state]) state = s;
+  for (let t = count - 1; t >= 0; t--) {
+    path[t] = state;
+    state = pointers[t * states + state];
+  }
+
+  const chords = [];
+  for (let t = 0; t < count; t++) {
+    const s = path[t];
+    chords.push(s === 0 ? null : toChord(s, allScores[t * states + s], lowestPitchClass(frames[t].notes)));
+  }
+
+  // One entry per decoded run; the bass is the run's most common one
+  const timeline = [];
+  for (let t = 0; t < count;) {
+    let end = t;
+    while (end + 1 < count && path[end + 1] === path[t]) end++;
+    if (path[t] !== 0) {
+      const votes = new Map();
+      let sum = 0;
+      for (let i = t; i <= end; i++) {
+        votes.set(chords[i].bass, (votes.get(chords[i].bass) || 0) + 1);
+        sum += chords[i].confidence;
+      }
+      const bass = [...votes].reduce((a, b) => (b[1] > a[1] ? b : a))[0];
+      const { label, root, type } = toChord(path[t], 0, bass);
+      timeline.push({
+        label,
+        root,
+        type,
+        bass,
+        start: frames[t].time,
+        end: frames[end].time,
+        confidence: sum / (end - t + 1),
+      });
+    }
+    t = end + 1;
+  }
+  return { chords, timeline };
+}
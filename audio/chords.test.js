@@ -0,0 +1,40 @@
+/**
+ * Chord recognizer checks. Run with `node --test audio/` (Node 20 also
+ * needs `--experimental-default-type=module`).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChordRecognizer, recognizeChords } from './chords.js';
+
+const OPTIONS = { chordHoldSeconds: 0.5, chordMinScore: 0.6 };
+const FRAME_SECONDS = 0.1;
+
+function pcdOf(pitchClasses) {
+  const pcd = new Float32Array(12);
+  for (const pc of pitchClasses) pcd[pc] = 1;
+  return pcd;
+}
+
+function streamChord(pitchClasses, notes = []) {
+  const recognizer = new ChordRecognizer();
+  let chord = null;
+  for (let i = 0; i < 20; i++) chord = recognizer.update(pcdOf(pitchClasses), notes, FRAME_SECONDS, OPTIONS);
+  return chord;
+}
+
+test('a single pitch class is not a power chord', () => {
+  assert.equal(streamChord([9], [{ midi: 57 }]), null);
+
+  const frames = Array.from({ length: 20 }, (_, i) => ({
+    time: i * FRAME_SECONDS, rawPcd: pcdOf([9]), notes: [{ midi: 57 }],
+  }));
+  assert.deepEqual(recognizeChords(frames, OPTIONS).timeline, []);
+});
+
+test('root and fifth are a power chord on the root', () => {
+  assert.equal(streamChord([9, 4], [{ midi: 45 }, { midi: 52 }]).label, 'A5');
+});
+
+test('a triad with its third in the bass is an inversion', () => {
+  assert.equal(streamChord([0, 4, 7], [{ midi: 52 }, { midi: 60 }, { midi: 67 }]).label, 'C/E');
+});
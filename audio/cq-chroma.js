@@ -0,0 +1,103 @@
+import { normalizePcd } from './pcd.js';
+
+/** Log-frequency bins per pitch-class step; the middle one sits on the step. */
+const BINS_PER_SEMITONE = 3;
+/** Triangular weights of the bins within one step. */
+const SEMITONE_WEIGHTS = [0.5, 1, 0.5];
+
+/**
+ * Constant-Q style chroma. The linear FFT magnitude spectrum is resampled onto
+ * a log-frequency grid with the same number of bins per semitone across the
+ * whole range: in the bass, where several semitones share one FFT bin, the
+ * spectrum is interpolated; in the treble, where one semitone spans many FFT
+ * bins, each log bin takes the strongest of them. Every semitone therefore
+ * contributes with equal resolution instead of in proportion to how many FFT
+ * bins it happens to cover. With `pcdBins` other than 12 the grid follows the
+ * EDO's steps instead of semitones.
+ *
+ * Same interface as PitchClassComputer so the two are interchangeable.
+ */
+export class ConstantQChromaComputer {
+  constructor() {
+    this.bands = null;
+    this.cacheKey = '';
+    this.output = new Float32Array(12);
+    this.zero = new Float32Array(12);
+  }
+
+  /**
+   * Builds the log-frequency grid for the current spectrum size and range.
+   * Each band is either a max-pool over FFT bins [start, end] or, when no FFT
+   * bin falls inside it, a linear interpolation at fractional bin `center`.
+   */
+  ensureBands(length, sampleRate, a4, minHz, maxHz, bins) {
+    const key = `${length}|${sampleRate}|${a4}|${minHz}|${maxHz}|${bins}`;
+    if (this.bands && this.cacheKey === key) return;
+    this.cacheKey = key;
+    if (this.output.length !== bins) this.output = new Float32Array(bins);
+
+    const binHz = sampleRate / (length * 2);
+    // Steps counted from the C below A4 (see edo.js), unwrapped
+    const toStep = freq => bins * (Math.log2(freq / a4) + 0.75);
+    const toBin = pos => a4 * Math.pow(2, pos / bins - 0.75) / binHz;
+    const stepLo = Math.ceil(toStep(Math.max(minHz, binHz)));
+    const stepHi = Math.floor(toStep(Math.min(maxHz, sampleRate / 2)));
+    const half = (BINS_PER_SEMITONE - 1) / 2;
+    const step = 0.5 / BINS_PER_SEMITONE;
+
+    this.bands = [];
+    for (let n = stepLo; n <= stepHi; n++) {
+      const pitchClass = ((n % bins) + bins) % bins;
+      for (let j = 0; j < BINS_PER_SEMITONE; j++) {
+        const pos = n + (j - half) / BINS_PER_SEMITONE;
+        const lo = toBin(pos - step);
+        const hi = toBin(pos + step);
+        const center = toBin(pos);
+        const start = Math.max(1, Math.ceil(lo));
+        const end = Math.min(length - 1, Math.floor(hi));
+        if (center >= length - 1) continue;
+        this.bands.push({ pitchClass, weight: SEMITONE_WEIGHTS[j], start, end, center });
+      }
+    }
+  }
+
+  /**
+   * Computes the chroma vector for the provided magnitudes.
+   * @param {Float32Array} magnitudes - FFT magnitudes.
+   * @param {number} sampleRate
+   * @param {object} options - Same options as PitchClassComputer.compute.
+   * @returns {Float32Array} Reference to the internal output buffer.
+   */
+  compute(magnitudes, sampleRate, options) {
+    const { minHz, maxHz, pcdThreshold, pcdNormalize, refA4, pcdBins } = options;
+    this.ensureBands(magnitudes.length, sampleRate, refA4, minHz, maxHz, pcdBins);
+
+    this.output.fill(0);
+
+    for (const band of this.bands) {
+      let value;
+      if (band.end >= band.start) {
+        value = 0;
+        for (let k = band.start; k <= band.end; k++) {
+          if (magnitudes[k] > value) value = magnitudes[k];
+        }
+      } else {
+        const k = Math.floor(band.center);
+        const frac = band.center - k;
+        value = magnitudes[k] * (1 - frac) + magnitudes[k + 1] * frac;
+      }
+
+      if (value > pcdThreshold) {
+        this.output[band.pitchClass] += band.weight * value * value;
+      }
+    }
+
+    return normalizePcd(this.output, pcdNormalize);
+  }
+
+  getSilentOutput(bins = this.zero.length) {
+    if (this.zero.length !== bins) this.zero = new Float32Array(bins);
+    this.zero.fill(0);
+    return this.zero;
+  }
+}
@@ -0,0 +1,56 @@
+/**
+ * Pitch-class bins for N-EDO analysis (the octave split into `bins` equal
+ * steps, `config.pcdBins`). Bin 0 is C, anchored to `refA4` through 12-TET
+ * (C = A4 · 2^(-9/12)), so 12 bins are the usual pitch classes and every EDO
+ * shares its C with them.
+ */
+
+/** Bin counts offered by the UI; any count from MIN_BINS to MAX_BINS works. */
+export const EDO_PRESETS = [12, 17, 19, 22, 24, 31, 36, 41, 53];
+export const MIN_BINS = 5;
+export const MAX_BINS = 72;
+
+const SHARP_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+/**
+ * Continuous bin position of `freq`: bin centres are integers, wrapped into
+ * [0, bins).
+ * @param {number} freq
+ * @param {number} refA4
+ * @param {number} bins
+ * @returns {number}
+ */
+export function binPosition(freq, refA4, bins) {
+  const position = bins * (Math.log2(freq / refA4) + 0.75) % bins;
+  return position < 0 ? position + bins : position;
+}
+
+/**
+ * Nearest 12-TET pitch class of a bin (ties round down, so the 24-EDO
+ * quarter tone above C belongs to C).
+ * @param {number} bin
+ * @param {number} bins
+ * @returns {number} 0..11
+ */
+export function binPitchClass(bin, bins) {
+  return Math.ceil(bin * 12 / bins - 0.5) % 12;
+}
+
+/**
+ * Labels every bin with its nearest 12-TET name plus the deviation in cents
+ * ("C", "C+50", "D#-37"); with 12 bins these are the plain names.
+ * @param {number} bins
+ * @param {string[]} [names] - 12 pitch-class names starting at C.
+ * @returns {string[]}
+ */
+export function binLabels(bins, names = SHARP_NAMES) {
+  const labels = [];
+  for (let bin = 0; bin < bins; bin++) {
+    const pitchClass = binPitchClass(bin, bins);
+    let deviation = Math.round(bin * 1200 / bins - pitchClass * 100);
+    if (deviation > 600) deviation -= 1200; // the top bins sit just below the next C
+    const name = names[pitchClass];
+    labels.push(deviation === 0 ? name : `${name}${deviation > 0 ? '+' : '-'}${Math.abs(deviation)}`);
+  }
+  return labels;
+}
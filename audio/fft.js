@@ -1,31 +1,59 @@
 /**
  * Real-valued FFT implementation with persistent buffers to avoid
  * unnecessary allocations. Designed for streaming audio analysis.
+ *
+ * An N-point real signal is packed into an N/2-point complex FFT (even
+ * samples as real parts, odd samples as imaginary parts) and the two
+ * interleaved half-spectra are separated afterwards, which halves the work of
+ * a full complex transform. Twiddle factors come from a table computed
+ * directly with Math.cos/Math.sin, so they don't drift at large sizes.
+ *
+ * After `transform`, the complex spectrum (bins 0..N/2 inclusive) is
+ * available through `getComplex()` and its phases through `getPhases()`.
  */
 export class RealFFT {
   constructor() {
     this.size = 0;
+    this.workRe = null;
+    this.workIm = null;
+    this.bitRevTable = null;
+    this.cosTable = null;
+    this.sinTable = null;
     this.real = null;
     this.imag = null;
     this.magnitudes = null;
-    this.bitRevTable = null;
+    this.phases = null;
   }
 
   /**
    * Ensures the internal buffers are sized for the requested FFT length.
-   * @param {number} size - FFT size (power of two).
+   * @param {number} size - FFT size (power of two, at least 4).
    */
   ensureSize(size) {
     if (this.size === size) return;
     this.size = size;
-    this.real = new Float32Array(size);
-    this.imag = new Float32Array(size);
-    this.magnitudes = new Float32Array(size / 2);
-    this.bitRevTable = new Uint32Array(size);
+    const half = size >> 1;
+
+    this.workRe = new Float64Array(half);
+    this.workIm = new Float64Array(half);
+    this.real = new Float32Array(half + 1);
+    this.imag = new Float32Array(half + 1);
+    this.magnitudes = new Float32Array(half);
+    this.phases = new Float32Array(half + 1);
+
+    // e^{-2πik/N} for k < N/2. The N/2-point FFT uses every other entry.
+    this.cosTable = new Float64Array(half);
+    this.sinTable = new Float64Array(half);
+    for (let k = 0; k < half; k++) {
+      const angle = -2 * Math.PI * k / size;
+      this.cosTable[k] = Math.cos(angle);
+      this.sinTable[k] = Math.sin(angle);
+    }
 
+    this.bitRevTable = new Uint32Array(half);
     let j = 0;
-    for (let i = 1; i < size; i++) {
-      let bit = size >> 1;
+    for (let i = 1; i < half; i++) {
+      let bit = half >> 1;
       for (; j & bit; bit >>= 1) j ^= bit;
       j ^= bit;
       this.bitRevTable[i] = j;
@@ -33,60 +61,106 @@ export class RealFFT {
   }
 
   /**
-   * Performs a real FFT on the provided signal. The internal buffers are
-   * reused between calls to minimize garbage collection pressure.
+   * Performs a real FFT on the provided signal (zero-padded to the next power
+   * of two). The internal buffers are reused between calls to minimize
+   * garbage collection pressure.
    * @param {Float32Array} signal
-   * @returns {Float32Array} A view into the internal magnitude buffer.
+   * @returns {Float32Array} A view into the internal magnitude buffer
+   *   (bins 0..N/2-1).
    */
   transform(signal) {
-    let size = 1;
+    let size = 4;
     while (size < signal.length) size <<= 1;
     this.ensureSize(size);
 
-    this.real.fill(0);
-    this.imag.fill(0);
-    this.real.set(signal);
+    const half = size >> 1;
+    const re = this.workRe;
+    const im = this.workIm;
+    const cos = this.cosTable;
+    const sin = this.sinTable;
+    const length = signal.length;
+
+    // Pack even samples into the real part and odd samples into the imaginary part
+    for (let n = 0; n < half; n++) {
+      const i = n << 1;
+      re[n] = i < length ? signal[i] : 0;
+      im[n] = i + 1 < length ? signal[i + 1] : 0;
+    }
 
     // Bit reversal
-    for (let i = 1; i < size; i++) {
-      const j = this.bitRevTable[i];
+    const rev = this.bitRevTable;
+    for (let i = 1; i < half; i++) {
+      const j = rev[i];
       if (i < j) {
-        [this.real[i], this.real[j]] = [this.real[j], this.real[i]];
-        [this.imag[i], this.imag[j]] = [this.imag[j], this.imag[i]];
+        let t = re[i]; re[i] = re[j]; re[j] = t;
+        t = im[i]; im[i] = im[j]; im[j] = t;
       }
     }
 
-    // Iterative Cooley–Tukey FFT
-    for (let len = 2; len <= size; len <<= 1) {
-      const ang = -2 * Math.PI / len;
-      const wlenRe = Math.cos(ang);
-      const wlenIm = Math.sin(ang);
-      for (let i = 0; i < size; i += len) {
-        let wRe = 1;
-        let wIm = 0;
-        const halfLen = len >> 1;
+    // Iterative radix-2 Cooley–Tukey FFT of length N/2
+    for (let len = 2; len <= half; len <<= 1) {
+      const halfLen = len >> 1;
+      const step = size / len;
+      for (let i = 0; i < half; i += len) {
         for (let k = 0; k < halfLen; k++) {
-          const uRe = this.real[i + k];
-          const uIm = this.imag[i + k];
-          const vRe = this.real[i + k + halfLen] * wRe - this.imag[i + k + halfLen] * wIm;
-          const vIm = this.real[i + k + halfLen] * wIm + this.imag[i + k + halfLen] * wRe;
-          this.real[i + k] = uRe + vRe;
-          this.imag[i + k] = uIm + vIm;
-          this.real[i + k + halfLen] = uRe - vRe;
-          this.imag[i + k + halfLen] = uIm - vIm;
-
-          const nextWRe = wRe * wlenRe - wIm * wlenIm;
-          const nextWIm = wRe * wlenIm + wIm * wlenRe;
-          wRe = nextWRe;
-          wIm = nextWIm;
+          const wRe = cos[k * step];
+          const wIm = sin[k * step];
+          const a = i + k;
+          const b = a + halfLen;
+          const vRe = re[b] * wRe - im[b] * wIm;
+          const vIm = re[b] * wIm + im[b] * wRe;
+          re[b] = re[a] - vRe;
+          im[b] = im[a] - vIm;
+          re[a] += vRe;
+          im[a] += vIm;
         }
       }
     }
 
-    const half = size >> 1;
+    // Separate the spectra of the even and odd samples and combine them:
+    // X[k] = E[k] + e^{-2πik/N} O[k]
+    const real = this.real;
+    const imag = this.imag;
+    real[0] = re[0] + im[0];
+    imag[0] = 0;
+    real[half] = re[0] - im[0];
+    imag[half] = 0;
+    for (let k = 1; k < half; k++) {
+      const zRe = re[k];
+      const zIm = im[k];
+      const cRe = re[half - k];
+      const cIm = -im[half - k];
+      const eRe = 0.5 * (zRe + cRe);
+      const eIm = 0.5 * (zIm + cIm);
+      const oRe = 0.5 * (zIm - cIm);
+      const oIm = -0.5 * (zRe - cRe);
+      real[k] = eRe + cos[k] * oRe - sin[k] * oIm;
+      imag[k] = eIm + cos[k] * oIm + sin[k] * oRe;
+    }
+
     for (let i = 0; i < half; i++) {
-      this.magnitudes[i] = Math.hypot(this.real[i], this.imag[i]);
+      this.magnitudes[i] = Math.hypot(real[i], imag[i]);
     }
     return this.magnitudes.subarray(0, half);
   }
+
+  /**
+   * Complex spectrum of the last transform. Views into internal buffers,
+   * valid until the next call to `transform`.
+   * @returns {{real: Float32Array, imag: Float32Array}} Bins 0..N/2 inclusive.
+   */
+  getComplex() {
+    return { real: this.real, imag: this.imag };
+  }
+
+  /**
+   * Phase (radians, -π..π) of every bin of the last transform.
+   * @returns {Float32Array} View into an internal buffer, bins 0..N/2 inclusive.
+   */
+  getPhases() {
+    for (let i = 0; i < this.phases.length; i++) {
+      this.phases[i] = Math.atan2(this.imag[i], this.real[i]);
+    }
+    return this.phases;
+  }
 }
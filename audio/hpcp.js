@@ -0,0 +1,76 @@
+import { binPosition } from './edo.js';
+import { normalizePcd } from './pcd.js';
+import { SpectralPeakPicker } from './spectral-peaks.js';
+
+/**
+ * Harmonic Pitch Class Profile (after Gómez, 2006). Instead of folding every
+ * FFT bin into a pitch class, it
+ *  1. picks local spectral peaks above `pcdThreshold` and refines their
+ *     frequency/amplitude with parabolic interpolation on the dB spectrum,
+ *  2. lets each peak also vote for the fundamentals it could be a harmonic
+ *     of (f/2, f/3, …) with weight `hpcpHarmonicDecay^(h-1)`, which
+ *     reinforces the true root relative to overtone pitch classes, and
+ *  3. spreads each vote over neighbouring pitch classes with a cos² kernel
+ *     `hpcpKernelWidth` bins wide (semitones at 12 `pcdBins`), so slightly
+ *     mistuned peaks still land smoothly instead of snapping to one bin.
+ *
+ * Same interface as PitchClassComputer so the two are interchangeable.
+ */
+export class HpcpComputer {
+  constructor() {
+    this.peaks = new SpectralPeakPicker();
+    this.output = new Float32Array(12);
+    this.zero = new Float32Array(12);
+  }
+
+  /**
+   * Computes the HPCP for the provided magnitudes.
+   * @param {Float32Array} magnitudes - FFT magnitudes.
+   * @param {number} sampleRate
+   * @param {object} options - PitchClassComputer options plus
+   *   `hpcpHarmonics`, `hpcpHarmonicDecay` and `hpcpKernelWidth`.
+   * @returns {Float32Array} Reference to the internal output buffer.
+   */
+  compute(magnitudes, sampleRate, options) {
+    const {
+      minHz, maxHz, pcdThreshold, pcdNormalize, refA4, pcdBins,
+      hpcpHarmonics, hpcpHarmonicDecay, hpcpKernelWidth,
+    } = options;
+    const binHz = sampleRate / (magnitudes.length * 2);
+    const { freqs, amps } = this.peaks;
+    const peakCount = this.peaks.find(magnitudes, binHz, minHz, maxHz, pcdThreshold);
+
+    if (this.output.length !== pcdBins) this.output = new Float32Array(pcdBins);
+    this.output.fill(0);
+    const halfWidth = hpcpKernelWidth / 2;
+
+    for (let p = 0; p < peakCount; p++) {
+      const energy = amps[p] * amps[p];
+      // Bin position of the peak, as a pitch class in [0, pcdBins)
+      const peakPc = binPosition(freqs[p], refA4, pcdBins);
+      let weight = 1;
+
+      for (let h = 1; h <= hpcpHarmonics; h++) {
+        let pc = (peakPc - pcdBins * Math.log2(h)) % pcdBins;
+        if (pc < 0) pc += pcdBins;
+
+        const lo = Math.ceil(pc - halfWidth);
+        const hi = Math.floor(pc + halfWidth);
+        for (let bin = lo; bin <= hi; bin++) {
+          const d = bin - pc;
+          const w = Math.cos(Math.PI * d / hpcpKernelWidth);
+          this.output[((bin % pcdBins) + pcdBins) % pcdBins] += w * w * weight * energy;
+        }
+        weight *= hpcpHarmonicDecay;
+      }
+    }
+
+    return normalizePcd(this.output, pcdNormalize);
+  }
+
+  getSilentOutput(bins = this.zero.length) {
+    if (this.zero.length !== bins) this.zero = new Float32Array(bins);
+    this.zero.fill(0);
+    return this.zero;
+  }
+}
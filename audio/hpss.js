@@ -0,0 +1,125 @@
+/** Soft-mask exponent (2 = Wiener-like masks). */
+const MASK_POWER = 2;
+/** Bounds of the time-median length in frames. */
+const MIN_FRAMES = 9;
+const MAX_FRAMES = 65;
+
+/**
+ * Median of the first `count` entries of `values` (reordered in place), by
+ * quickselect.
+ */
+function median(values, count) {
+  const k = count >> 1;
+  let lo = 0;
+  let hi = count - 1;
+  while (lo < hi) {
+    const pivot = values[(lo + hi) >> 1];
+    let i = lo;
+    let j = hi;
+    while (i <= j) {
+      while (values[i] < pivot) i++;
+      while (values[j] > pivot) j--;
+      if (i <= j) {
+        const t = values[i]; values[i] = values[j]; values[j] = t;
+        i++;
+        j--;
+      }
+    }
+    if (k <= j) hi = j;
+    else if (k >= i) lo = i;
+    else break;
+  }
+  return values[k];
+}
+
+/**
+ * Median-filter harmonic/percussive separation (Fitzgerald, 2010) over a
+ * short history of magnitude spectra. Harmonic partials are steady in time
+ * and narrow in frequency, so a median along time keeps them and drops
+ * transients; percussive energy is broadband, so a median along frequency
+ * (`hpssBins` wide) keeps it and drops partials. Soft masks built from the
+ * two split every bin of the current frame.
+ *
+ * The time median is causal and spans twice the analysis window (in hops,
+ * between MIN_FRAMES and MAX_FRAMES): a transient stays inside the long
+ * window for `windowSize / hopSize` frames, and must remain a minority of
+ * the history to be rejected. Only bins up to `maxHz` (plus the kernel) are
+ * processed; the harmonic output is zero above them.
+ */
+export class HarmonicPercussiveSeparator {
+  constructor() {
+    this.history = [];
+    this.historyIndex = 0;
+    this.historyCount = 0;
+    this.harmonic = new Float32Array(0);
+    this.timeMedian = new Float32Array(0);
+    this.scratch = new Float32Array(0);
+  }
+
+  reset() {
+    this.history = [];
+    this.historyIndex = 0;
+    this.historyCount = 0;
+  }
+
+  /**
+   * @param {Float32Array} magnitudes - FFT magnitudes of the current frame.
+   * @param {number} sampleRate
+   * @param {object} options - `maxHz`, `hpssBins`, `windowSize`, `hopSize`.
+   * @returns {{harmonic: Float32Array, percussiveRatio: number}} `harmonic`
+   *   is an internal buffer, valid until the next call. `percussiveRatio` is
+   *   the share of the frame's energy (0..1) the masks assign to the
+   *   percussive part.
+   */
+  process(magnitudes, sampleRate, options) {
+    const { maxHz, hpssBins, windowSize, hopSize } = options;
+    const length = magnitudes.length;
+    const binHz = sampleRate / (length * 2);
+    const half = hpssBins >> 1;
+    const bins = Math.min(length, Math.ceil(maxHz / binHz) + half + 1);
+    const frames = Math.max(MIN_FRAMES, Math.min(MAX_FRAMES, 2 * Math.ceil(windowSize / hopSize) + 1));
+
+    if (this.harmonic.length !== length) this.harmonic = new Float32Array(length);
+    if (this.history.length !== frames || this.history[0].length !== bins) {
+      this.history = Array.from({ length: frames }, () => new Float32Array(bins));
+      this.historyIndex = 0;
+      this.historyCount = 0;
+      this.timeMedian = new Float32Array(bins);
+    }
+    if (this.scratch.length < Math.max(frames, hpssBins)) {
+      this.scratch = new Float32Array(Math.max(frames, hpssBins));
+    }
+
+    this.history[this.historyIndex].set(magnitudes.subarray(0, bins));
+    this.historyIndex = (this.historyIndex + 1) % frames;
+    this.historyCount = Math.min(frames, this.historyCount + 1);
+
+    const scratch = this.scratch;
+    const count = this.historyCount;
+    const timeMedian = this.timeMedian;
+    for (let k = 0; k < bins; k++) {
+      for (let f = 0; f < count; f++) scratch[f] = this.history[f][k];
+      timeMedian[k] = median(scratch, count);
+    }
+
+    const harmonic = this.harmonic;
+    let total = 0;
+    let percussive = 0;
+    for (let k = 0; k < bins; k++) {
+      const lo = Math.max(0, k - half);
+      const hi = Math.min(bins - 1, k + half);
+      for (let j = lo; j <= hi; j++) scratch[j - lo] = magnitudes[j];
+      const p = Math.pow(median(scratch, hi - lo + 1), MASK_POWER);
+      const h = Math.pow(timeMedian[k], MASK_POWER);
+      const mask = h + p > 0 ? h / (h + p) : 0;
+      const value = magnitudes[k];
+      harmonic[k] = value * mask;
+      const energy = value * value;
+      total += energy;
+      percussive += energy * (1 - mask);
+    }
+    harmonic.fill(0, bins);
+
+    return { harmonic, percussiveRatio: total > 0 ? percussive / total : 0 };
+  }
+}
@@ -0,0 +1,149 @@
+import { binPitchClass } from './edo.js';
+
+/**
+ * Key profiles, selected with `config.keyProfile`: the expected weight of
+ * each scale degree above the tonic in a major and a minor key.
+ *  - 'krumhansl': Krumhansl & Kessler's (1982) probe-tone ratings
+ *  - 'temperley': Temperley's (1999) revision, which weights the leading
+ *                 tone and the minor mode's degrees more evenly
+ * `keyProfile` may also be `{major, minor}` with 12 non-negative values each.
+ */
+export const KEY_PROFILES = {
+  krumhansl: {
+    major: [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88],
+    minor: [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17],
+  },
+  temperley: {
+    major: [5.0, 2.0, 3.5, 2.0, 4.5, 4.0, 2.0, 4.5, 2.0, 3.5, 1.5, 4.0],
+    minor: [5.0, 2.0, 3.5, 4.5, 2.0, 4.0, 2.0, 4.5, 3.5, 2.0, 1.5, 4.0],
+  },
+};
+
+export const KEY_MODES = ['major', 'minor'];
+
+/** Number of ranked keys reported in `candidates`. */
+const CANDIDATES = 3;
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+/**
+ * Resolves a `keyProfile` setting into its major and minor tables.
+ * @param {string|{major:number[], minor:number[]}} profile
+ * @returns {{major:number[], minor:number[]}|null} null unless `profile` is a
+ *   KEY_PROFILES key or two tables of 12 finite, non-negative values that
+ *   aren't all equal.
+ */
+export function resolveKeyProfile(profile) {
+  const tables = typeof profile === 'string' ? KEY_PROFILES[profile] : profile;
+  if (!tables || typeof tables !== 'object') return null;
+  for (const mode of KEY_MODES) {
+    const table = tables[mode];
+    if (!Array.isArray(table) || table.length !== 12) return null;
+    if (!table.every(v => Number.isFinite(v) && v >= 0)) return null;
+    if (table.every(v => v === table[0])) return null;
+  }
+  return { major: tables.major.slice(), minor: tables.minor.slice() };
+}
+
+/**
+ * Parses a profile typed as 24 numbers (major degrees 0-11, then minor),
+ * separated by commas or whitespace.
+ * @param {string} text
+ * @returns {{major:number[], minor:number[]}|null}
+ */
+export function parseKeyProfile(text) {
+  const values = String(text).trim().split(/[\s,]+/).map(Number);
+  if (values.length !== 24) return null;
+  return resolveKeyProfile({ major: values.slice(0, 12), minor: values.slice(12) });
+}
+
+/** "C major", "F# minor". */
+export function keyName(tonic, mode) {
+  return `${NOTE_NAMES[tonic]} ${mode}`;
+}
+
+/** Pearson correlation of `chroma` with `table` rotated onto `tonic`. */
+function correlate(chroma, chromaMean, chromaNorm, table, tableMean, tableNorm, tonic) {
+  let sum = 0;
+  for (let pc = 0; pc < 12; pc++) {
+    sum += (chroma[pc] - chromaMean) * (table[(pc - tonic + 12) % 12] - tableMean);
+  }
+  return sum / (chromaNorm * tableNorm);
+}
+
+function centred(values) {
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  let norm = 0;
+  for (const v of values) norm += (v - mean) * (v - mean);
+  return { mean, norm: Math.sqrt(norm) };
+}
+
+/**
+ * Krumhansl–Schmuckler key finding over a sliding window of PCD frames.
+ *
+ * Every frame's PCD is folded onto the 12 pitch classes (N-EDO bins go to
+ * their nearest one) and summed over the last `keyWindowSeconds`; the sum is
+ * correlated with the major and minor profile rotated onto each of the 12
+ * tonics, and the 24 keys are ranked by correlation. Feeding the smoothed
+ * PCD is fine: smoothing only delays the window slightly.
+ */
+export class KeyEstimator {
+  constructor() {
+    this.chroma = new Float64Array(12);
+    this.reset();
+  }
+
+  reset() {
+    this.history = [];
+  }
+
+  /**
+   * @param {Float32Array} pcd - PCD frame, any bin count.
+   * @param {number} frameSeconds - Frame spacing (the hop).
+   * @param {number} windowSeconds - Length of the sliding window.
+   * @param {{major:number[], minor:number[]}} profile - From resolveKeyProfile.
+   * @returns {{tonic:number, mode:string, name:string, confidence:number,
+   *   candidates:Array<{tonic:number, mode:string, name:string, correlation:number}>}|null}
+   *   The best key and the top-ranked keys (best first). `correlation` is
+   *   Pearson's r with the key's profile; `confidence` is the best one,
+   *   clamped to 0..1. Null while the window holds no pitch content.
+   */
+  update(pcd, frameSeconds, windowSeconds, profile) {
+    const folded = new Float64Array(12);
+    const bins = pcd.length;
+    for (let bin = 0; bin < bins; bin++) folded[binPitchClass(bin, bins)] += pcd[bin];
+
+    const history = this.history;
+    history.push(folded);
+    const maxFrames = Math.max(1, Math.round(windowSeconds / frameSeconds));
+    while (history.length > maxFrames) history.shift();
+
+    const chroma = this.chroma;
+    chroma.fill(0);
+    for (const frame of history) {
+      for (let pc = 0; pc < 12; pc++) chroma[pc] += frame[pc];
+    }
+    const { mean, norm } = centred(chroma);
+    if (!(norm > 1e-9)) return null;
+
+    const ranked = [];
+    for (const mode of KEY_MODES) {
+      const table = profile[mode];
+      const stats = centred(table);
+      for (let tonic = 0; tonic < 12; tonic++) {
+        const correlation = correlate(chroma, mean, norm, table, stats.mean, stats.norm, tonic);
+        ranked.push({ tonic, mode, name: keyName(tonic, mode), correlation });
+      }
+    }
+    ranked.sort((a, b) => b.correlation - a.correlation);
+
+    const best = ranked[0];
+    return {
+      tonic: best.tonic,
+      mode: best.mode,
+      name: best.name,
+      confidence: Math.max(0, Math.min(1, best.correlation)),
+      candidates: ranked.slice(0, CANDIDATES),
+    };
+  }
+}
@@ -0,0 +1,168 @@
+/**
+ * Minimal Standard MIDI File (format 0) writer. Self-contained: no DOM,
+ * WebAudio or Node APIs, so it runs in the page, in workers and in the CLI.
+ *
+ * Notes are `{midi, start, end}` with times in seconds, plus optional
+ * `cents` (written as a pitch bend), `velocity` (1-127) or `peakRms` (mapped
+ * to a velocity when no velocity is given).
+ */
+
+/** Quantization grids in beats (quarter notes), keyed by their usual names. */
+export const QUANTIZE_GRIDS = {
+  'off': 0,
+  '1/4': 1,
+  '1/8': 1 / 2,
+  '1/8t': 1 / 3,
+  '1/16': 1 / 4,
+  '1/16t': 1 / 6,
+  '1/32': 1 / 8,
+};
+
+export const DEFAULT_MIDI_OPTIONS = {
+  tempo: 120,         // BPM
+  ppq: 480,           // ticks per quarter note
+  quantize: 0,        // grid in beats; 0 = off (see QUANTIZE_GRIDS)
+  pitchBend: true,    // write each note's cents deviation as a pitch bend
+  bendRange: 2,       // pitch-bend range in semitones (sent via RPN 0)
+  name: 'mobilePCD',
+};
+
+const DEFAULT_VELOCITY = 100;
+const DRUM_CHANNEL = 9;
+
+// Events at the same tick are ordered: note-offs, pitch bends, then note-ons
+const ORDER_OFF = 0;
+const ORDER_BEND = 1;
+const ORDER_ON = 2;
+
+/**
+ * Maps an RMS level to a MIDI velocity: -60 dBFS → 1, -6 dBFS and up → 127.
+ * @param {number} rms
+ * @returns {number}
+ */
+export function levelToVelocity(rms) {
+  const db = 20 * Math.log10(Math.max(rms, 1e-9));
+  return Math.max(1, Math.min(127, Math.round(1 + (db + 60) * (126 / 54))));
+}
+
+function writeVarLen(bytes, value) {
+  const stack = [value & 0x7f];
+  while ((value >>= 7) > 0) stack.push((value & 0x7f) | 0x80);
+  while (stack.length) bytes.push(stack.pop());
+}
+
+function writeUint32(bytes, value) {
+  bytes.push((value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff);
+}
+
+function textBytes(text) {
+  return Array.from(new TextEncoder().encode(text));
+}
+
+/**
+ * Assigns channels so simultaneous notes with different bends don't share
+ * one. Uses the channel that has been free the longest; when all 15 melodic
+ * channels are busy the one that frees up first is shared.
+ */
+function allocateChannels(notes) {
+  const freeAt = [];
+  for (let c = 0; c < 16; c++) if (c !== DRUM_CHANNEL) freeAt.push({ channel: c, tick: -1 });
+
+  return notes.map(note => {
+    let best = null;
+    for (const slot of freeAt) {
+      if (slot.tick <= note.startTick && (!best || slot.tick < best.tick)) best = slot;
+    }
+    if (!best) best = freeAt.reduce((a, b) => (b.tick < a.tick ? b : a));
+    best.tick = Math.max(best.tick, note.endTick);
+    return { ...note, channel: best.channel };
+  });
+}
+
+/** Shortens notes that would overlap a later note of the same pitch on the same channel. */
+function trimOverlaps(notes) {
+  const last = new Map();
+  for (const note of notes) {
+    const key = note.channel * 128 + note.midi;
+    const previous = last.get(key);
+    if (previous && previous.endTick > note.startTick) {
+      previous.endTick = Math.max(previous.startTick + 1, note.startTick);
+    }
+    last.set(key, note);
+  }
+}
+
+/**
+ * Encodes notes as a Standard MIDI File.
+ * @param {Array<{midi:number,start:number,end:number,cents?:number,velocity?:number,peakRms?:number}>} notes
+ * @param {object} [options] - See DEFAULT_MIDI_OPTIONS.
+ * @returns {Uint8Array} The complete .mid file.
+ */
+export function encodeMidiFile(notes, options = {}) {
+  const { tempo, ppq, quantize, pitchBend, bendRange, name } = { ...DEFAULT_MIDI_OPTIONS, ...options };
+  const ticksPerSecond = ppq * tempo / 60;
+  const grid = quantize > 0 ? Math.max(1, Math.round(quantize * ppq)) : 1;
+  const toTick = seconds => Math.max(0, Math.round(seconds * ticksPerSecond / grid) * grid);
+
+  let timed = notes
+    .filter(note => Number.isFinite(note.start) && Number.isFinite(note.end) && note.midi >= 0 && note.midi <= 127)
+    .map(note => {
+      const startTick = toTick(note.start);
+      return { ...note, startTick, endTick: Math.max(startTick + grid, toTick(note.end)) };
+    })
+    .sort((a, b) => a.startTick - b.startTick || a.midi - b.midi);
+
+  timed = pitchBend ? allocateChannels(timed) : timed.map(note => ({ ...note, channel: 0 }));
+  trimOverlaps(timed);
+
+  const events = [];
+  const channels = new Set(timed.map(note => note.channel));
+  if (pitchBend) {
+    // RPN 0 (pitch-bend sensitivity) on every channel in use
+    for (const channel of channels) {
+      const status = 0xb0 | channel;
+      events.push({ tick: 0, order: ORDER_BEND, data: [status, 101, 0, status, 100, 0, status, 6, bendRange, status, 38, 0] });
+    }
+  }
+  for (const note of timed) {
+    const velocity = note.velocity ?? (note.peakRms != null ? levelToVelocity(note.peakRms) : DEFAULT_VELOCITY);
+    if (pitchBend) {
+      const cents = note.cents || 0;
+      const bend = Math.max(0, Math.min(16383, Math.round(8192 + (cents / 100 / bendRange) * 8192)));
+      events.push({ tick: note.startTick, order: ORDER_BEND, data: [0xe0 | note.channel, bend & 0x7f, bend >> 7] });
+    }
+    events.push({ tick: note.startTick, order: ORDER_ON, data: [0x90 | note.channel, note.midi, Math.max(1, Math.min(127, Math.round(velocity)))] });
+    events.push({ tick: note.endTick, order: ORDER_OFF, data: [0x80 | note.channel, note.midi, 0] });
+  }
+  events.sort((a, b) => a.tick - b.tick || a.order - b.order);
+
+  const track = [];
+  const usPerQuarter = Math.round(60000000 / tempo);
+  const nameBytes = textBytes(name);
+  track.push(0x00, 0xff, 0x03);
+  writeVarLen(track, nameBytes.length);
+  track.push(...nameBytes);
+  track.push(0x00, 0xff, 0x51, 0x03, (usPerQuarter >> 16) & 0xff, (usPerQuarter >> 8) & 0xff, usPerQuarter & 0xff);
+  track.push(0x00, 0xff, 0x58, 0x04, 0x04, 0x02, 0x18, 0x08); // 4/4
+
+  let tick = 0;
+  for (const event of events) {
+    const data = event.data;
+    writeVarLen(track, event.tick - tick);
+    tick = event.tick;
+    // Multi-message events (RPN setup) need a zero delta between messages
+    for (let i = 0; i < data.length; i += 3) {
+      if (i > 0) track.push(0x00);
+      track.push(data[i], data[i + 1], data[i + 2]);
+    }
+  }
+  track.push(0x00, 0xff, 0x2f, 0x00);
+
+  const bytes = [0x4d, 0x54, 0x68, 0x64]; // MThd
+  writeUint32(bytes, 6);
+  bytes.push(0x00, 0x00, 0x00, 0x01, (ppq >> 8) & 0xff, ppq & 0xff);
+  bytes.push(0x4d, 0x54, 0x72, 0x6b); // MTrk
+  writeUint32(bytes, track.length);
+  for (let i = 0; i < track.length; i++) bytes.push(track[i]);
+  return Uint8Array.from(bytes);
+}
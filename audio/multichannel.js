@@ -0,0 +1,162 @@
+import { PcdAnalyzer } from './analyzer.js';
+
+/**
+ * Input channel handling modes:
+ *  - 'mono':  average of all input channels (default)
+ *  - 'left':  first channel only
+ *  - 'right': second channel (falls back to the first on mono inputs)
+ *  - 'split': mono mix as the main stream, plus every channel analyzed on
+ *             its own and reported in `frame.channels`
+ */
+export const CHANNEL_MODES = ['mono', 'left', 'right', 'split'];
+
+/** Channels analyzed individually in 'split' mode. */
+export const MAX_SPLIT_CHANNELS = 2;
+
+/**
+ * Number of sample streams a channel mode produces: the main stream plus one
+ * per channel in 'split' mode.
+ * @param {string} mode
+ * @returns {number}
+ */
+export function streamCount(mode) {
+  return mode === 'split' ? 1 + MAX_SPLIT_CHANNELS : 1;
+}
+
+/**
+ * Builds the analysis streams for a block of (planar) input channels. This is
+ * the reference for the equivalent per-quantum logic in the tap worklet.
+ * @param {Float32Array[]} channels
+ * @param {string} mode - One of CHANNEL_MODES.
+ * @returns {Float32Array[]} `[main, ...perChannel]`
+ */
+export function selectStreams(channels, mode) {
+  const length = channels.length > 0 ? channels[0].length : 0;
+
+  if (mode === 'left' && channels.length > 0) return [channels[0]];
+  if (mode === 'right' && channels.length > 0) return [channels[channels.length > 1 ? 1 : 0]];
+
+  let mix = channels[0] || new Float32Array(0);
+  if (channels.length > 1) {
+    mix = new Float32Array(length);
+    for (const data of channels) {
+      for (let i = 0; i < length; i++) mix[i] += data[i];
+    }
+    const inv = 1 / channels.length;
+    for (let i = 0; i < length; i++) mix[i] *= inv;
+  }
+  if (mode !== 'split') return [mix];
+
+  const streams = [mix];
+  for (let c = 0; c < MAX_SPLIT_CHANNELS; c++) {
+    streams.push(channels[c] || new Float32Array(length));
+  }
+  return streams;
+}
+
+function copyChannelFrame(frame, channel) {
+  return {
+    channel,
+    pcd: Float32Array.from(frame.pcd),
+    rawPcd: Float32Array.from(frame.rawPcd),
+    rms: frame.rms,
+    primary: frame.primary,
+    notes: frame.notes,
+    onset: frame.onset,
+    beat: frame.beat,
+    tempo: frame.tempo,
+    segment: frame.segment,
+    key: frame.key,
+    chord: frame.chord,
+    percussiveRatio: frame.percussiveRatio,
+  };
+}
+
+/**
+ * Wraps a main PcdAnalyzer plus optional per-channel analyzers that share its
+ * configuration. Exposes the same surface as PcdAnalyzer (config, buffers,
+ * reset, push) except that `push` takes the stream array produced by
+ * `selectStreams`. Every frame carries a `channels` array, empty unless
+ * per-channel streams are being analyzed.
+ */
+export class MultiChannelAnalyzer {
+  constructor(config = {}, sampleRate = 48000) {
+    this.main = new PcdAnalyzer(config, sampleRate);
+    this.channelAnalyzers = [];
+    this.pendingChannelFrames = [];
+  }
+
+  get config() { return this.main.config; }
+  get tunerConfig() { return this.main.tunerConfig; }
+  get currentPcd() { return this.main.currentPcd; }
+  get rawPcd() { return this.main.rawPcd; }
+  get lastRms() { return this.main.lastRms; }
+  set lastRms(value) { this.main.lastRms = value; }
+
+  /**
+   * Sets how many per-channel streams follow the main stream.
+   * @param {number} count
+   */
+  setChannelCount(count) {
+    while (this.channelAnalyzers.length > count) this.channelAnalyzers.pop();
+    while (this.channelAnalyzers.length < count) {
+      const analyzer = new PcdAnalyzer({ ...this.main.config, tuner: this.main.tunerConfig }, this.main.sampleRate);
+      this.channelAnalyzers.push(analyzer);
+    }
+    this.reset();
+  }
+
+  setSampleRate(sampleRate) {
+    this.main.setSampleRate(sampleRate);
+    this.channelAnalyzers.forEach(a => a.setSampleRate(sampleRate));
+  }
+
+  updateConfig(updates) {
+    this.main.updateConfig(updates);
+    this.channelAnalyzers.forEach(a => a.updateConfig(this.main.config));
+  }
+
+  updateTuner(updates) {
+    this.main.updateTuner(updates);
+    this.channelAnalyzers.forEach(a => a.updateTuner(this.main.tunerConfig));
+  }
+
+  reset() {
+    this.main.reset();
+    this.channelAnalyzers.forEach(a => a.reset());
+    this.pendingChannelFrames = [];
+  }
+
+  /**
+   * @param {Float32Array[]} streams - `[main, ...perChannel]`; missing
+   *   per-channel streams are skipped.
+   * @param {(frame: object) => void} onFrame
+   * @param {(pitch: object) => void} [onPitch] - Time-domain tuner
+   *   estimates of the main stream (see PcdAnalyzer.push).
+   */
+  push(streams, onFrame, onPitch) {
+    const analyzers = this.channelAnalyzers;
+    if (analyzers.length === 0) {
+      this.main.push(streams[0], frame => onFrame({ ...frame, channels: [] }), onPitch);
+      return;
+    }
+
+    // All streams advance in lockstep, so channel analyzers complete their
+    // frames at the same sample positions as the main one.
+    const pending = this.pendingChannelFrames;
+    const base = pending.length;
+    analyzers.forEach((analyzer, c) => {
+      const samples = streams[c + 1];
+      if (!samples) return;
+      let index = base;
+      analyzer.push(samples, frame => {
+        if (!pending[index]) pending[index] = [];
+        pending[index++].push(copyChannelFrame(frame, c));
+      });
+    });
+
+    this.main.push(streams[0], frame => {
+      onFrame({ ...frame, channels: pending.shift() || [] });
+    }, onPitch);
+  }
+}
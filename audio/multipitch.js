@@ -0,0 +1,183 @@
+import { SpectralPeakPicker } from './spectral-peaks.js';
+
+/** Peaks considered per frame. */
+const MAX_PEAKS = 60;
+/** A peak matches harmonic h·f0 when within this many cents of it. */
+const HARMONIC_TOLERANCE_CENTS = 40;
+/**
+ * A candidate at a multiple of an accepted note must have this many times
+ * the salience it draws from that note's leftover partials to count as a
+ * note of its own.
+ */
+const RESIDUE_MARGIN = 2;
+
+/**
+ * Harmonic weight from Klapuri (2006): favours lower harmonics, and more so
+ * for low fundamentals, which keeps subharmonic candidates from winning.
+ */
+function harmonicWeight(f0, h) {
+  return (f0 + 52) / (h * f0 + 320);
+}
+
+/**
+ * Multi-pitch estimator using harmonic summation with iterative
+ * estimation and cancellation:
+ *  1. spectral peaks are picked and interpolated,
+ *  2. every peak is tried as a fundamental; its salience is the weighted sum
+ *     of the peaks found at its first `noteHarmonics` harmonics,
+ *  3. the most salient candidate becomes a note and its harmonics are
+ *     removed from the remaining peaks. Following the spectral smoothness
+ *     principle a harmonic only loses as much as its smallest neighbouring
+ *     harmonic, so partials shared with other notes (C's 3rd and G's 2nd)
+ *     keep their excess for them,
+ *  4. a candidate at a multiple of an accepted note whose salience comes
+ *     mostly from that note's leftovers (see RESIDUE_MARGIN) is an
+ *     overtone, not a note: its partials are removed without reporting it,
+ *  5. repeat until `maxNotes` notes are found or the best salience drops
+ *     below `noteMinSalience` times that of the first note.
+ */
+export class MultiPitchEstimator {
+  constructor() {
+    this.peaks = new SpectralPeakPicker(MAX_PEAKS);
+    this.remaining = new Float32Array(MAX_PEAKS);
+    this.claimed = new Uint8Array(MAX_PEAKS);
+    this.residue = 0;
+    this.matches = new Int16Array(0);
+    this.harmonicAmps = new Float32Array(0);
+  }
+
+  /**
+   * Salience of `f0` over the remaining peak amplitudes. Fills
+   * `this.matches[h-1]` with the peak index matched by each harmonic (-1 if
+   * none) and sets `this.residue` to the part drawn from claimed peaks.
+   */
+  salience(f0, count, harmonics) {
+    const freqs = this.peaks.freqs;
+    const remaining = this.remaining;
+    const ratioTolerance = Math.pow(2, HARMONIC_TOLERANCE_CENTS / 1200);
+    let sum = 0;
+    this.residue = 0;
+
+    for (let h = 1; h <= harmonics; h++) {
+      const target = h * f0;
+      const lo = target / ratioTolerance;
+      const hi = target * ratioTolerance;
+      let best = -1;
+      for (let p = 0; p < count; p++) {
+        const f = freqs[p];
+        if (f >= lo && f <= hi && remaining[p] > 0 && (best < 0 || remaining[p] > remaining[best])) {
+          best = p;
+        }
+      }
+      this.matches[h - 1] = best;
+      if (best < 0) continue;
+      const weighted = harmonicWeight(f0, h) * remaining[best];
+      sum += weighted;
+      if (this.claimed[best]) this.residue += weighted;
+    }
+    return sum;
+  }
+
+  /**
+   * Marks every peak within tolerance of a multiple of `f0` as a partial of
+   * an accepted note, including peaks beside the one a harmonic matched.
+   */
+  claim(f0, count) {
+    const freqs = this.peaks.freqs;
+    for (let p = 0; p < count; p++) {
+      const ratio = freqs[p] / f0;
+      const h = Math.round(ratio);
+      if (h >= 1 && Math.abs(1200 * Math.log2(ratio / h)) <= HARMONIC_TOLERANCE_CENTS) {
+        this.claimed[p] = 1;
+      }
+    }
+  }
+
+  /**
+   * @param {Float32Array} magnitudes - FFT magnitudes.
+   * @param {number} sampleRate
+   * @param {object} options - `minHz`, `maxHz`, `pcdThreshold`, `refA4`,
+   *   `maxNotes`, `noteHarmonics`, `noteMinSalience`.
+   * @returns {Array<{midi:number,freq:number,cents:number,salience:number}>}
+   *   Sorted by pitch; `salience` is relative to the strongest note (0..1].
+   */
+  estimate(magnitudes, sampleRate, options) {
+    const { minHz, maxHz, pcdThreshold, refA4, maxNotes, noteHarmonics, noteMinSalience } = options;
+    const notes = [];
+    if (maxNotes <= 0) return notes;
+
+    const binHz = sampleRate / (magnitudes.length * 2);
+    const count = this.peaks.find(magnitudes, binHz, minHz, maxHz, pcdThreshold);
+    if (count === 0) return notes;
+
+    const freqs = this.peaks.freqs;
+    this.remaining.set(this.peaks.amps.subarray(0, count));
+    this.claimed.fill(0);
+    if (this.matches.length < noteHarmonics) {
+      this.matches = new Int16Array(noteHarmonics);
+      this.harmonicAmps = new Float32Array(noteHarmonics);
+    }
+
+    let firstSalience = 0;
+    const taken = new Set();
+    while (notes.length < maxNotes) {
+      let best = -1;
+      let bestSalience = 0;
+      let bestResidue = 0;
+      for (let p = 0; p < count; p++) {
+        if (this.remaining[p] <= 0) continue;
+        const s = this.salience(freqs[p], count, noteHarmonics);
+        if (s > bestSalience) {
+          best = p;
+          bestSalience = s;
+          bestResidue = this.residue;
+        }
+      }
+      if (bestSalience <= 0 || bestSalience < noteMinSalience * firstSalience) break;
+      if (notes.length === 0) firstSalience = bestSalience;
+
+      // Recompute the matches for the winner, then cancel its harmonics
+      const bestF0 = freqs[best];
+      this.salience(bestF0, count, noteHarmonics);
+      const matched = this.matches;
+      // A multiple of an accepted note that mostly feeds on its leftovers is
+      // an overtone: drop it together with its partials
+      if (this.claimed[best] && bestSalience < RESIDUE_MARGIN * bestResidue) {
+        for (let h = 0; h < noteHarmonics; h++) {
+          if (matched[h] >= 0) this.remaining[matched[h]] = 0;
+        }
+        continue;
+      }
+
+      const amps = this.harmonicAmps;
+      for (let h = 0; h < noteHarmonics; h++) {
+        amps[h] = matched[h] >= 0 ? this.remaining[matched[h]] : 0;
+      }
+      for (let h = 0; h < noteHarmonics; h++) {
+        const p = matched[h];
+        if (p < 0) continue;
+        let smooth = amps[h];
+        for (let j = Math.max(0, h - 1); j <= Math.min(noteHarmonics - 1, h + 1); j++) {
+          if (matched[j] >= 0) smooth = Math.min(smooth, amps[j]);
+        }
+        this.remaining[p] = h === 0 ? 0 : amps[h] - smooth;
+      }
+
+      this.claim(bestF0, count);
+
+      const midiReal = 69 + 12 * Math.log2(bestF0 / refA4);
+      const midi = Math.round(midiReal);
+      if (taken.has(midi)) continue;
+      taken.add(midi);
+      notes.push({
+        midi,
+        freq: bestF0,
+        cents: (midiReal - midi) * 100,
+        salience: bestSalience / firstSalience,
+      });
+    }
+
+    notes.sort((a, b) => a.midi - b.midi);
+    return notes;
+  }
+}
@@ -0,0 +1,47 @@
+/**
+ * Multi-pitch estimator checks. Run with `node --test audio/` (Node 20 also
+ * needs `--experimental-default-type=module`).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeSamples, DEFAULT_AUDIO_CONFIG } from './analyzer.js';
+
+const SAMPLE_RATE = 44100;
+
+function midiFreq(midi) {
+  return 440 * 2 ** ((midi - 69) / 12);
+}
+
+/** `midis` played together, each with the partial amplitudes in `partials`. */
+function tones(midis, partials, seconds = 2) {
+  const samples = new Float32Array(Math.round(SAMPLE_RATE * seconds));
+  for (let i = 0; i < samples.length; i++) {
+    for (const midi of midis) {
+      partials.forEach((amp, h) => {
+        samples[i] += 0.1 * amp * Math.sin(2 * Math.PI * midiFreq(midi) * (h + 1) * i / SAMPLE_RATE + h * midi);
+      });
+    }
+  }
+  return samples;
+}
+
+/** Note sets of the frames whose window is full of signal. */
+function noteSets(samples) {
+  const settled = Math.ceil(DEFAULT_AUDIO_CONFIG.windowSize / DEFAULT_AUDIO_CONFIG.hopSize);
+  return analyzeSamples(samples, SAMPLE_RATE, {}).slice(settled)
+    .map((frame) => frame.notes.map((note) => note.midi));
+}
+
+test('a triad yields exactly its three notes', () => {
+  // A strong 3rd partial left G4's D6 behind as a ghost note
+  const sets = noteSets(tones([60, 64, 67], [1, 0.5, 0.8, 0.2, 0.3, 0.1, 0.15, 0.05]));
+  assert.ok(sets.length > 0);
+  for (const notes of sets) assert.deepEqual(notes, [60, 64, 67]);
+});
+
+test('a single tone yields exactly one note', () => {
+  // A 2nd partial stronger than the fundamental used to add the octave above
+  for (const partials of [[1], [0.6, 1, 0.3, 0.5, 0.2, 0.25, 0.1, 0.1]]) {
+    for (const notes of noteSets(tones([45], partials))) assert.deepEqual(notes, [45]);
+  }
+});
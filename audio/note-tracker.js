@@ -0,0 +1,261 @@
+export const DEFAULT_NOTE_TRACKER_CONFIG = {
+  enabled: true,
+  minRms: 0.003,      // level gate: quieter frames count as silence
+  stableFrames: 3,    // frames a pitch must hold before its noteon
+  releaseFrames: 2,   // silent/unpitched frames before a noteoff
+  onsetRatio: 1.5,    // RMS rise (×) over the lookback that re-articulates a note
+  onsetFrames: 4,     // lookback for the RMS rise, also the minimum onset spacing
+};
+
+/**
+ * Segments the per-frame `primary` pitch stream into discrete notes.
+ *
+ * A note starts once the same nearest MIDI note has been detected for
+ * `stableFrames` consecutive frames above the `minRms` gate; its start time is
+ * that of the first of those frames. It ends when a different pitch becomes
+ * stable, after `releaseFrames` frames without a gated pitch, or when an
+ * onset starts a new stable run, which splits repeated notes of the same
+ * pitch. An onset is the RMS rising by `onsetRatio` over the quietest of the
+ * last `onsetFrames` frames; the long analysis window spreads an attack over
+ * several hops, so frame-to-frame ratios are too small to rely on.
+ *
+ * Notes are `{id, midi, pitchClass, freq, cents, start, end, duration, peakRms}`
+ * where `freq` and `cents` are means over the note's frames and times are in
+ * stream seconds. DOM-free; the caller supplies frames and an `emit(type,
+ * note)` callback that receives 'noteon' (without end/duration) and 'noteoff'.
+ */
+export class NoteTracker {
+  constructor(config = {}) {
+    this.config = { ...DEFAULT_NOTE_TRACKER_CONFIG };
+    this.updateConfig(config);
+    this.reset();
+  }
+
+  updateConfig(updates = {}) {
+    if (typeof updates !== 'object') return;
+    Object.assign(this.config, updates);
+  }
+
+  /** Clears the session: open note, pending candidate and the note list. */
+  reset() {
+    this.notes = [];
+    this.active = null;
+    this.candidate = null;
+    this.missing = 0;
+    this.rmsHistory = [];
+    this.sinceOnset = Infinity;
+    this.nextId = 1;
+  }
+
+  /**
+   * Completed notes of the current session, oldest first.
+   * @returns {object[]}
+   */
+  getNotes() {
+    return this.notes.map(note => ({ ...note }));
+  }
+
+  /**
+   * @param {number} time - Stream time of the frame (seconds).
+   * @param {number} rms
+   * @param {object|null} primary - Frame `primary` (needs freq, cents, nearestMidi).
+   * @param {(type: string, note: object) => void} emit
+   */
+  process(time, rms, primary, emit) {
+    const cfg = this.config;
+    if (!cfg.enabled) return;
+
+    const onset = this.detectOnset(rms);
+
+    if (!primary || rms < cfg.minRms) {
+      this.candidate = null;
+      if (this.active && ++this.missing >= cfg.releaseFrames) {
+        this.finish(this.active.lastTime, emit);
+      }
+      return;
+    }
+    this.missing = 0;
+
+    const midi = primary.nearestMidi;
+    const candidate = this.candidate;
+    if (candidate && candidate.midi === midi && !onset) {
+      accumulate(candidate, time, rms, primary);
+    } else if (this.active && this.active.midi === midi && !onset) {
+      accumulate(this.active, time, rms, primary);
+      this.candidate = null;
+      return;
+    } else {
+      this.candidate = createRun(midi, time);
+      accumulate(this.candidate, time, rms, primary);
+    }
+
+    if (this.candidate.frames >= cfg.stableFrames) {
+      if (this.active) this.finish(this.candidate.start, emit);
+      this.active = this.candidate;
+      this.active.id = this.nextId++;
+      this.candidate = null;
+      emit('noteon', toNote(this.active, null));
+    }
+  }
+
+  detectOnset(rms) {
+    const { onsetRatio, onsetFrames } = this.config;
+    const history = this.rmsHistory;
+    const floor = history.length ? Math.min(...history) : 0;
+    history.push(rms);
+    while (history.length > onsetFrames) history.shift();
+
+    this.sinceOnset++;
+    if (floor > 0 && rms >= floor * onsetRatio && this.sinceOnset >= onsetFrames) {
+      this.sinceOnset = 0;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Ends the open note, if any, at its last detected frame. Call when the
+   * input stops.
+   * @param {(type: string, note: object) => void} emit
+   */
+  flush(emit) {
+    if (this.active) this.finish(this.active.lastTime, emit);
+    this.candidate = null;
+  }
+
+  finish(end, emit) {
+    const note = toNote(this.active, end);
+    this.active = null;
+    this.notes.push(note);
+    emit('noteoff', { ...note });
+  }
+}
+
+/**
+ * Segments the polyphonic `notes` of each frame into notes, one track per
+ * MIDI note number: a pitch starts after `stableFrames` consecutive frames
+ * and ends after `releaseFrames` frames without it. Shares NoteTracker's
+ * config (the onset options don't apply) and note shape; `peakRms` is the
+ * frame RMS scaled by the note's salience. Keeps a session list but emits no
+ * events.
+ */
+export class PolyphonicNoteTracker {
+  constructor(config = {}) {
+    this.config = { ...DEFAULT_NOTE_TRACKER_CONFIG };
+    this.updateConfig(config);
+    this.reset();
+  }
+
+  updateConfig(updates = {}) {
+    if (typeof updates !== 'object') return;
+    Object.assign(this.config, updates);
+  }
+
+  reset() {
+    this.notes = [];
+    this.runs = new Map(); // midi → { run, active, missing }
+    this.nextId = 1;
+  }
+
+  /**
+   * Completed notes of the current session, ordered by end time.
+   * @returns {object[]}
+   */
+  getNotes() {
+    return this.notes.map(note => ({ ...note }));
+  }
+
+  /**
+   * @param {number} time - Stream time of the frame (seconds).
+   * @param {number} rms
+   * @param {Array<{midi:number,freq:number,cents:number,salience:number}>} notes
+   */
+  process(time, rms, notes) {
+    const cfg = this.config;
+    if (!cfg.enabled) return;
+
+    const voiced = rms >= cfg.minRms ? notes : [];
+    const present = new Set();
+    for (const note of voiced) {
+      present.add(note.midi);
+      let state = this.runs.get(note.midi);
+      if (!state) {
+        state = { run: createRun(note.midi, time), active: false, missing: 0 };
+        this.runs.set(note.midi, state);
+      }
+      state.missing = 0;
+      accumulate(state.run, time, rms * note.salience, note);
+      if (!state.active && state.run.frames >= cfg.stableFrames) {
+        state.active = true;
+        state.run.id = this.nextId++;
+      }
+    }
+
+    for (const [midi, state] of this.runs) {
+      if (present.has(midi)) continue;
+      if (!state.active) {
+        this.runs.delete(midi);
+      } else if (++state.missing >= cfg.releaseFrames) {
+        this.notes.push(toNote(state.run, state.run.lastTime));
+        this.runs.delete(midi);
+      }
+    }
+  }
+
+  /** Ends all open notes at their last detected frame. */
+  flush() {
+    for (const state of this.runs.values()) {
+      if (state.active) this.notes.push(toNote(state.run, state.run.lastTime));
+    }
+    this.runs.clear();
+  }
+}
+
+/**
+ * Runs both trackers over analyzer frames (e.g. from `analyzeSamples`), for
+ * offline use.
+ * @param {Array<{time:number,rms:number,primary:object|null,notes:object[]}>} frames
+ * @param {object} [config] - NoteTracker config overrides.
+ * @returns {{primary: object[], polyphonic: object[]}}
+ */
+export function trackNotes(frames, config = {}) {
+  const tracker = new NoteTracker(config);
+  const poly = new PolyphonicNoteTracker(config);
+  const ignore = () => {};
+  for (const frame of frames) {
+    tracker.process(frame.time, frame.rms, frame.primary, ignore);
+    poly.process(frame.time, frame.rms, frame.notes || []);
+  }
+  tracker.flush(ignore);
+  poly.flush();
+  return { primary: tracker.getNotes(), polyphonic: poly.getNotes() };
+}
+
+function createRun(midi, time) {
+  return { id: 0, midi, start: time, lastTime: time, frames: 0, sumFreq: 0, sumCents: 0, peakRms: 0 };
+}
+
+function accumulate(run, time, rms, primary) {
+  run.frames++;
+  run.lastTime = time;
+  run.sumFreq += primary.freq;
+  run.sumCents += primary.cents;
+  if (rms > run.peakRms) run.peakRms = rms;
+}
+
+function toNote(run, end) {
+  const note = {
+    id: run.id,
+    midi: run.midi,
+    pitchClass: ((run.midi % 12) + 12) % 12,
+    freq: run.sumFreq / run.frames,
+    cents: run.sumCents / run.frames,
+    start: run.start,
+    peakRms: run.peakRms,
+  };
+  if (end !== null) {
+    note.end = end;
+    note.duration = Math.max(0, end - run.start);
+  }
+  return note;
+}
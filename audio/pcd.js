@@ -1,7 +1,41 @@
+import { binPosition } from './edo.js';
+
 /**
- * Utility responsible for converting FFT magnitudes into a 12-bin pitch class
- * distribution. The implementation caches the bin→pitch-class mapping and
- * reuses the output buffer between frames to avoid allocations.
+ * Applies the `pcdNormalize` power scaling to a raw pitch-class accumulation and
+ * rescales it so the bins sum to 1 (all-zero input stays zero). Shared by
+ * every PCD method so their outputs are comparable.
+ * @param {Float32Array} output - Modified in place.
+ * @param {number} pcdNormalize
+ * @returns {Float32Array} `output`
+ */
+export function normalizePcd(output, pcdNormalize) {
+  let sum = 0;
+  if (pcdNormalize !== 1) {
+    for (let i = 0; i < output.length; i++) {
+      output[i] = Math.pow(output[i], pcdNormalize);
+      sum += output[i];
+    }
+  } else {
+    for (let i = 0; i < output.length; i++) {
+      sum += output[i];
+    }
+  }
+
+  if (sum > 0) {
+    const inv = 1 / sum;
+    for (let i = 0; i < output.length; i++) {
+      output[i] *= inv;
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Utility responsible for converting FFT magnitudes into a pitch class
+ * distribution of `pcdBins` bins (see edo.js). The implementation caches the
+ * FFT bin→pitch-class mapping and reuses the output buffer between frames to
+ * avoid allocations.
  */
 export class PitchClassComputer {
   constructor() {
@@ -9,16 +43,18 @@ export class PitchClassComputer {
     this.prevSampleRate = 0;
     this.prevA4 = 0;
     this.prevLength = 0;
+    this.prevBins = 0;
     this.output = new Float32Array(12);
     this.zero = new Float32Array(12);
   }
 
-  ensureLookup(length, sampleRate, a4) {
+  ensureLookup(length, sampleRate, a4, bins) {
     if (
       this.lookupTable &&
       this.prevSampleRate === sampleRate &&
       this.prevA4 === a4 &&
-      this.prevLength === length
+      this.prevLength === length &&
+      this.prevBins === bins
     ) {
       return;
     }
@@ -26,16 +62,16 @@ export class PitchClassComputer {
     this.prevSampleRate = sampleRate;
     this.prevA4 = a4;
     this.prevLength = length;
+    this.prevBins = bins;
+    if (this.output.length !== bins) this.output = new Float32Array(bins);
 
     this.lookupTable = new Uint8Array(length);
     const binHz = sampleRate / (length * 2);
-    const log2A4 = Math.log2(a4);
 
     for (let k = 0; k < length; k++) {
       const freq = k * binHz;
       if (freq > 0) {
-        const midi = 69 + 12 * (Math.log2(freq) - log2A4);
-        this.lookupTable[k] = ((Math.round(midi) % 12) + 12) % 12;
+        this.lookupTable[k] = Math.round(binPosition(freq, a4, bins)) % bins;
       } else {
         this.lookupTable[k] = 0;
       }
@@ -52,11 +88,12 @@ export class PitchClassComputer {
    * @param {number} options.pcdThreshold
    * @param {number} options.pcdNormalize
    * @param {number} options.refA4
+   * @param {number} options.pcdBins
    * @returns {Float32Array} Reference to the internal output buffer.
    */
   compute(magnitudes, sampleRate, options) {
-    const { minHz, maxHz, pcdThreshold, pcdNormalize, refA4 } = options;
-    this.ensureLookup(magnitudes.length, sampleRate, refA4);
+    const { minHz, maxHz, pcdThreshold, pcdNormalize, refA4, pcdBins } = options;
+    this.ensureLookup(magnitudes.length, sampleRate, refA4, pcdBins);
 
     this.output.fill(0);
 
@@ -72,33 +109,16 @@ export class PitchClassComputer {
       }
     }
 
-    let sum = 0;
-    if (pcdNormalize !== 1) {
-      for (let i = 0; i < 12; i++) {
-        this.output[i] = Math.pow(this.output[i], pcdNormalize);
-        sum += this.output[i];
-      }
-    } else {
-      for (let i = 0; i < 12; i++) {
-        sum += this.output[i];
-      }
-    }
-
-    if (sum > 0) {
-      const inv = 1 / sum;
-      for (let i = 0; i < 12; i++) {
-        this.output[i] *= inv;
-      }
-    }
-
-    return this.output;
+    return normalizePcd(this.output, pcdNormalize);
   }
 
   /**
    * Returns a zeroed PCD buffer, useful when skipping analysis for silent
    * frames without re-allocating.
+   * @param {number} [bins] - Size of the returned buffer.
    */
-  getSilentOutput() {
+  getSilentOutput(bins = this.zero.length) {
+    if (this.zero.length !== bins) this.zero = new Float32Array(bins);
     this.zero.fill(0);
     return this.zero;
   }
@@ -0,0 +1,156 @@
+/**
+ * Tuner pitch algorithms, selected with `tunerConfig.algorithm`:
+ *  - 'fft': largest FFT peak in the tuner range, gated by `minProminence`
+ *  - 'yin': YIN (de Cheveigné & Kawahara, 2002) on the raw, un-windowed
+ *           newest `windowSize` samples, gated by `minConfidence`
+ *  - 'mpm': McLeod Pitch Method (normalized square difference), same input
+ *           and gate as 'yin'
+ * The time-domain methods look for the period rather than the loudest
+ * partial, so they don't jump to the second harmonic when it is louder than
+ * the fundamental.
+ */
+export const TUNER_ALGORITHMS = ['fft', 'yin', 'mpm'];
+
+/** YIN: first dip of the normalized difference below this is taken as the period. */
+const YIN_THRESHOLD = 0.15;
+/** MPM: first NSDF key maximum within this fraction of the highest one wins. */
+const MPM_CUTOFF = 0.9;
+
+function parabolicOffset(a, b, c) {
+  const denom = a - 2 * b + c;
+  if (denom === 0) return 0;
+  return Math.max(-1, Math.min(1, 0.5 * (a - c) / denom));
+}
+
+/**
+ * Time-domain monophonic pitch detector with reusable scratch buffers.
+ * `detect` returns `{freq, confidence}` (confidence in 0..1) or null.
+ */
+export class TimeDomainPitchDetector {
+  constructor() {
+    this.scratch = new Float32Array(0);
+    this.keys = [];
+  }
+
+  ensureScratch(length) {
+    if (this.scratch.length < length) this.scratch = new Float32Array(length);
+    return this.scratch;
+  }
+
+  /**
+   * @param {Float32Array} samples - Un-windowed samples, oldest first.
+   * @param {number} sampleRate
+   * @param {number} minHz
+   * @param {number} maxHz
+   * @param {string} algorithm - 'yin' or 'mpm'.
+   * @returns {{freq:number,confidence:number}|null}
+   */
+  detect(samples, sampleRate, minHz, maxHz, algorithm) {
+    const minLag = Math.max(2, Math.floor(sampleRate / maxHz));
+    const maxLag = Math.min(Math.ceil(sampleRate / minHz), (samples.length >> 1) - 1);
+    if (maxLag <= minLag + 1) return null;
+
+    return algorithm === 'mpm'
+      ? this.mpm(samples, sampleRate, minLag, maxLag)
+      : this.yin(samples, sampleRate, minLag, maxLag);
+  }
+
+  yin(samples, sampleRate, minLag, maxLag) {
+    const d = this.ensureScratch(maxLag + 2);
+    const width = samples.length - maxLag - 1;
+
+    // Cumulative mean normalized difference d'(τ)
+    d[0] = 1;
+    let runningSum = 0;
+    for (let tau = 1; tau <= maxLag + 1; tau++) {
+      let sum = 0;
+      for (let j = 0; j < width; j++) {
+        const diff = samples[j] - samples[j + tau];
+        sum += diff * diff;
+      }
+      runningSum += sum;
+      d[tau] = runningSum > 0 ? sum * tau / runningSum : 1;
+    }
+
+    let best = -1;
+    for (let tau = minLag; tau <= maxLag; tau++) {
+      if (d[tau] < YIN_THRESHOLD) {
+        while (tau + 1 <= maxLag && d[tau + 1] < d[tau]) tau++;
+        best = tau;
+        break;
+      }
+    }
+    if (best < 0) {
+      // No dip below the threshold: fall back to the global minimum, which
+      // the confidence gate will usually reject.
+      best = minLag;
+      for (let tau = minLag + 1; tau <= maxLag; tau++) {
+        if (d[tau] < d[best]) best = tau;
+      }
+    }
+
+    const period = best + parabolicOffset(d[best - 1], d[best], d[best + 1]);
+    return {
+      freq: sampleRate / period,
+      confidence: Math.max(0, Math.min(1, 1 - d[best])),
+    };
+  }
+
+  mpm(samples, sampleRate, minLag, maxLag) {
+    const nsdf = this.ensureScratch(maxLag + 2);
+    const length = samples.length;
+
+    let m = 0;
+    for (let j = 0; j < length; j++) m += 2 * samples[j] * samples[j];
+    if (m === 0) return null;
+
+    for (let tau = 0; tau <= maxLag + 1; tau++) {
+      if (tau > 0) {
+        m -= samples[tau - 1] * samples[tau - 1] + samples[length - tau] * samples[length - tau];
+      }
+      let r = 0;
+      for (let j = 0; j < length - tau; j++) r += samples[j] * samples[j + tau];
+      nsdf[tau] = m > 0 ? 2 * r / m : 0;
+    }
+
+    // Key maxima: the highest point between each positive-going zero
+    // crossing and the following negative-going one.
+    let tau = 1;
+    while (tau <= maxLag && nsdf[tau] > 0) tau++; // skip the lobe around τ=0
+    let highest = 0;
+    let keyCount = 0;
+    const keys = this.keys;
+    while (tau <= maxLag) {
+      while (tau <= maxLag && nsdf[tau] <= 0) tau++;
+      let peak = -1;
+      while (tau <= maxLag && nsdf[tau] > 0) {
+        if (tau >= minLag && (peak < 0 || nsdf[tau] > nsdf[peak])) peak = tau;
+        tau++;
+      }
+      if (peak > 0) {
+        keys[keyCount++] = peak;
+        if (nsdf[peak] > highest) highest = nsdf[peak];
+      }
+    }
+    if (keyCount === 0) return null;
+
+    const cutoff = MPM_CUTOFF * highest;
+    let best = keys[0];
+    for (let i = 0; i < keyCount; i++) {
+      if (nsdf[keys[i]] >= cutoff) {
+        best = keys[i];
+        break;
+      }
+    }
+
+    const a = nsdf[best - 1];
+    const b = nsdf[best];
+    const c = nsdf[best + 1];
+    const delta = parabolicOffset(a, b, c);
+    const peakValue = b - 0.25 * (a - c) * delta;
+    return {
+      freq: sampleRate / (best + delta),
+      confidence: Math.max(0, Math.min(1, peakValue)),
+    };
+  }
+}
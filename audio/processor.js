@@ -1,14 +1,90 @@
-import { hannWindow } from './windowing.js';
-import { RealFFT } from './fft.js';
-import { PitchClassComputer } from './pcd.js';
-import { estimatePrimary } from './primary-detection.js';
-
+import { DEFAULT_AUDIO_CONFIG, DEFAULT_TUNER_CONFIG } from './analyzer.js';
+import { MultiChannelAnalyzer, CHANNEL_MODES, selectStreams, streamCount } from './multichannel.js';
+import { canShareMemory, createSampleRing } from './sample-ring.js';
+import { NoteTracker, PolyphonicNoteTracker, DEFAULT_NOTE_TRACKER_CONFIG } from './note-tracker.js';
+import { encodeMidiFile } from './midi-file.js';
+import { ChordTimeline } from './chords.js';
+
+export { DEFAULT_AUDIO_CONFIG, DEFAULT_TUNER_CONFIG, DEFAULT_NOTE_TRACKER_CONFIG, CHANNEL_MODES };
+
+// The tap builds the analysis streams for the configured channel mode (see
+// selectStreams in multichannel.js, which this mirrors per sample) and either
+// forwards batches of them over a MessagePort (its own port for in-thread
+// analysis, or one connected to the analysis worker), or writes them into a
+// shared ring (layout documented in sample-ring.js).
 const WORKLET_SOURCE = `
   class Tap extends AudioWorkletProcessor {
+    constructor(options) {
+      super();
+      const opts = options.processorOptions || {};
+      this.target = this.port;
+      this.channelMode = opts.channelMode || 'mono';
+      this.streams = opts.streams || 1;
+      this.frame = new Float32Array(this.streams);
+      this.batchSize = opts.batchSize || 128;
+      this.batches = this.allocBatches();
+      this.batchFill = 0;
+      if (opts.ring) {
+        this.ringHeader = new Int32Array(opts.ring.header);
+        this.ringData = new Float32Array(opts.ring.data);
+        this.ringMask = this.ringData.length / this.streams - 1;
+      }
+      this.port.onmessage = (event) => {
+        if (event.data && event.data.type === 'connect') this.target = event.data.port;
+      };
+    }
+
+    allocBatches() {
+      const batches = [];
+      for (let s = 0; s < this.streams; s++) batches.push(new Float32Array(this.batchSize));
+      return batches;
+    }
+
+    fillFrame(input, i) {
+      const frame = this.frame;
+      const n = input.length;
+      if (this.channelMode === 'left') {
+        frame[0] = input[0][i];
+      } else if (this.channelMode === 'right') {
+        frame[0] = input[n > 1 ? 1 : 0][i];
+      } else {
+        let sum = 0;
+        for (let c = 0; c < n; c++) sum += input[c][i];
+        frame[0] = sum / n;
+      }
+      for (let s = 1; s < this.streams; s++) {
+        frame[s] = input[s - 1] ? input[s - 1][i] : 0;
+      }
+    }
+
     process(inputs) {
-      const ch = inputs[0][0];
-      if (ch) {
-        this.port.postMessage(ch.slice(0));
+      const input = inputs[0];
+      if (!input || input.length === 0) return true;
+      const length = input[0].length;
+      const streams = this.streams;
+      const frame = this.frame;
+
+      if (this.ringData) {
+        let count = Atomics.load(this.ringHeader, 0);
+        for (let i = 0; i < length; i++) {
+          this.fillFrame(input, i);
+          const base = ((count + i) & this.ringMask) * streams;
+          for (let s = 0; s < streams; s++) this.ringData[base + s] = frame[s];
+        }
+        count = (count + length) | 0;
+        Atomics.store(this.ringHeader, 0, count);
+        Atomics.notify(this.ringHeader, 0);
+        return true;
+      }
+
+      for (let i = 0; i < length; i++) {
+        this.fillFrame(input, i);
+        for (let s = 0; s < streams; s++) this.batches[s][this.batchFill] = frame[s];
+        if (++this.batchFill === this.batchSize) {
+          this.target.postMessage(this.batches, this.batches.map(b => b.buffer));
+          this.batches = this.allocBatches();
+          this.batchFill = 0;
+        }
       }
       return true;
     }
@@ -24,87 +100,140 @@ function getWorkletUrl() {
   return workletUrl;
 }
 
-function frameRms(buffer) {
-  let sum = 0;
-  for (let i = 0; i < buffer.length; i++) {
-    const sample = buffer[i];
-    sum += sample * sample;
-  }
-  return Math.sqrt(sum / buffer.length);
+function audioBufferChannels(audioBuffer) {
+  const channels = [];
+  for (let c = 0; c < audioBuffer.numberOfChannels; c++) channels.push(audioBuffer.getChannelData(c));
+  return channels;
 }
 
-function toPowerOfTwo(value) {
-  const clamped = Math.max(32, value | 0);
-  const exponent = Math.round(Math.log2(clamped));
-  return 1 << Math.max(5, exponent); // Ensure at least 32 samples
+/** A frame with its stream times (frame, onset, beat, segment) moved by `offset` seconds. */
+function offsetFrameTimes(frame, offset) {
+  const { onset, beat, segment } = frame;
+  return {
+    ...frame,
+    time: frame.time + offset,
+    onset: onset && { ...onset, time: onset.time + offset },
+    beat: beat && { ...beat, time: beat.time + offset },
+    segment: segment && { ...segment, start: segment.start + offset, end: segment.end + offset },
+  };
 }
 
-function clamp(value, min, max) {
-  return Math.min(max, Math.max(min, value));
+function yieldToEventLoop() {
+  return new Promise(resolve => setTimeout(resolve, 0));
 }
 
-export const DEFAULT_AUDIO_CONFIG = {
-  windowSize: 16384,
-  hopSize: 1024,
-  minHz: 50,
-  maxHz: 5000,
-  smoothing: 0.6,
-  pcdMinRms: 0.001,
-  pcdThreshold: 0.005,
-  pcdNormalize: 1.0,
-  refA4: 440,
-};
-
-export const DEFAULT_TUNER_CONFIG = {
-  enabled: true,
-  minHz: 70,
-  maxHz: 1800,
-  minProminence: 6.0,
-  minRMS: 0.003,
-  reactivity: 0.35,
-};
+const OFFLINE_BLOCK_SIZE = 128;
+const OFFLINE_SLICE_MS = 30;
+const OFFLINE_WORKER_CHUNK = 32768;
+const WORKER_BATCH_SIZE = 256;
+const RING_SECONDS = 2;
 
 /**
- * AudioProcessor encapsulates microphone capture, FFT analysis and pitch class
- * computation. It dispatches `analysis` events with the current frame data so
- * UI or other systems can consume the results without dealing with the audio
- * plumbing.
+ * AudioProcessor is the live wrapper around `PcdAnalyzer`: it handles audio
+ * capture (microphone or decoded file) and dispatches `analysis` events with
+ * the current frame data so UI or other systems can consume the results
+ * without dealing with the audio plumbing.
+ *
+ * Input selection (`input: { deviceId, channelMode }` in the config, or
+ * `setInput()` at runtime) picks the microphone and how its channels are
+ * combined; see CHANNEL_MODES in multichannel.js. In 'split' mode each
+ * `analysis` event also carries per-channel results in `detail.channels`.
+ * A `devicechange` event with the current input list fires on hot-plug.
+ *
+ * A NoteTracker (configured with `noteTracker` in the config or
+ * `updateNoteTracker()`) turns the primary pitch into `noteon`/`noteoff`
+ * events; `getNotes()` returns the notes completed in the current session.
+ * A PolyphonicNoteTracker with the same config segments the per-frame
+ * `notes` alongside it, and `exportMidi()` writes either list (or both) as a
+ * Standard MIDI File.
+ *
+ * Rhythm analysis dispatches `onset` ({time, strength}) and `beat` ({time,
+ * index, downbeat, bpm}) events, plus `segment` ({start, end, beats, pcd})
+ * when beat-synchronous PCD segmentation is on (`pcdSegment`). Times are in
+ * stream seconds; `getTempo()` returns the running BPM estimate. A `key`
+ * event carries the new estimate whenever the best key (see key-detection.js)
+ * changes; `getKey()` returns the current one. Every frame carries the
+ * recognized `chord`, and `getChordTimeline()` lists the session's chord
+ * changes.
+ *
+ * A `pitch` event ({primary, time}) carries every tuner estimate: once per
+ * frame, just before its `analysis` event, with the 'fft' algorithm, and on
+ * the time-domain tuner's own shorter hops with 'yin' or 'mpm'.
+ *
+ * By default the analysis runs in a dedicated worker (audio/analysis-worker.js)
+ * fed directly by the AudioWorklet, so the main thread only receives finished
+ * frames. Pass `useWorker: false` (or run where Worker is unavailable) to
+ * analyze on the main thread instead; the events are identical either way.
  */
 export class AudioProcessor extends EventTarget {
   constructor(config = {}) {
     super();
 
-    const { tuner, ...audioConfig } = config;
-    this.config = { ...DEFAULT_AUDIO_CONFIG, ...audioConfig };
-    this.tunerConfig = { ...DEFAULT_TUNER_CONFIG, ...(tuner || {}) };
+    const { useWorker = true, input, noteTracker, ...analysisConfig } = config;
+
+    // Always kept: validates config and owns the buffers handed to listeners,
+    // and does the analysis itself when no worker is in use.
+    this.analyzer = new MultiChannelAnalyzer(analysisConfig);
+    this.useWorker = useWorker;
+    this.worker = null;
+    this.analysisMode = null;
+    this.analysisSession = 0;
+    this.flushId = 0;
+    this.pendingFlushes = new Map();
+    this.noteTracker = new NoteTracker(noteTracker);
+    this.polyNoteTracker = new PolyphonicNoteTracker(noteTracker);
+    this.chordTimeline = new ChordTimeline();
+    this.tempo = null;
+    this.key = null;
 
     this.audioContext = null;
     this.mediaStreamSource = null;
     this.silentGain = null;
     this.workletNode = null;
     this.micStream = null;
+    this.fileSource = null;
+    this.sourceType = null;
     this.sampleRate = 48000;
     this.running = false;
+    this.offlineSession = 0;
+    this.timeOffset = 0;     // added to analyzer times after a mid-session retap
+    this.lastFrameTime = 0;
+
+    this.input = { deviceId: null, channelMode: 'mono' };
+    this.activeDeviceId = null;
+    this.setInputOptions(input || {});
 
-    this.fft = new RealFFT();
-    this.pcdComputer = new PitchClassComputer();
+    this.handleAudioFrame = this.handleAudioFrame.bind(this);
+    this.handleAnalysis = this.handleAnalysis.bind(this);
+    this.handlePitch = this.handlePitch.bind(this);
+    this.emitNote = this.emitNote.bind(this);
+    this.handleWorkerMessage = this.handleWorkerMessage.bind(this);
+    this.handleDeviceChange = this.handleDeviceChange.bind(this);
+
+    if (typeof navigator !== 'undefined' && navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+      navigator.mediaDevices.addEventListener('devicechange', this.handleDeviceChange);
+    }
+  }
 
-    this.windowFn = hannWindow(this.config.windowSize);
-    this.ringBuffer = new Float32Array(this.config.windowSize);
-    this.analysisBuffer = new Float32Array(this.config.windowSize);
-    this.writeIndex = 0;
-    this.filled = 0;
-    this.hopCounter = 0;
+  get config() {
+    return this.analyzer.config;
+  }
 
-    this.currentPcd = new Float32Array(12);
-    this.rawPcd = new Float32Array(12);
-    this.lastRms = 0;
+  get tunerConfig() {
+    return this.analyzer.tunerConfig;
+  }
 
-    this.handleAudioFrame = this.handleAudioFrame.bind(this);
+  get noteTrackerConfig() {
+    return this.noteTracker.config;
   }
 
+  /**
+   * The smoothed PCD buffer, updated in place every frame. A `pcdBins`
+   * change replaces it, so fetch it again after changing the bin count.
+   * @returns {Float32Array}
+   */
   getCurrentPcd() {
-    return this.currentPcd;
+    return this.analyzer.currentPcd;
   }
 
   getSampleRate() {
@@ -112,70 +241,294 @@ export class AudioProcessor extends EventTarget {
   }
 
   getLastRms() {
-    return this.lastRms;
+    return this.analyzer.lastRms;
+  }
+
+  /**
+   * Latest tempo estimate, `{bpm, confidence}`, or null before the first one.
+   * @returns {object|null}
+   */
+  getTempo() {
+    return this.tempo;
+  }
+
+  /**
+   * Latest key estimate, kept through silences.
+   * @returns {{tonic:number, mode:string, name:string, confidence:number, candidates:object[]}|null}
+   */
+  getKey() {
+    return this.key;
   }
 
   isRunning() {
     return this.running;
   }
 
-  updateConfig(updates = {}) {
-    if (typeof updates !== 'object') return;
-
-    const cfg = this.config;
-    let reinitWindow = false;
-
-    if (updates.windowSize && updates.windowSize !== cfg.windowSize) {
-      const size = toPowerOfTwo(updates.windowSize);
-      if (size !== cfg.windowSize) {
-        cfg.windowSize = size;
-        this.windowFn = hannWindow(size);
-        this.ringBuffer = new Float32Array(size);
-        this.analysisBuffer = new Float32Array(size);
-        reinitWindow = true;
-      }
-    }
+  /**
+   * Notes completed since the current (or last) session started, oldest
+   * first: `{id, midi, pitchClass, freq, cents, start, end, duration, peakRms}`
+   * with times in seconds from the start of the session.
+   * @param {object} [options]
+   * @param {string} [options.source='primary'] - 'primary' (from the tuner
+   *   pitch) or 'polyphonic' (from the per-frame `notes`).
+   * @returns {object[]}
+   */
+  getNotes({ source = 'primary' } = {}) {
+    return source === 'polyphonic' ? this.polyNoteTracker.getNotes() : this.noteTracker.getNotes();
+  }
 
-    if (updates.hopSize) {
-      cfg.hopSize = Math.max(1, updates.hopSize | 0);
-    }
+  /**
+   * Chords recognized since the current (or last) session started, one
+   * entry per change: `{label, root, type, bass, start, end, confidence}`.
+   * @returns {object[]}
+   */
+  getChordTimeline() {
+    return this.chordTimeline.getTimeline();
+  }
+
+  /**
+   * Encodes the session's notes as a Standard MIDI File. Notes still sounding
+   * are not included until the session stops.
+   * @param {object} [options] - DEFAULT_MIDI_OPTIONS overrides, plus `source`:
+   *   'primary', 'polyphonic' or 'both'.
+   * @returns {Uint8Array}
+   */
+  exportMidi({ source = 'primary', ...options } = {}) {
+    const notes = source === 'both'
+      ? [...this.getNotes({ source: 'primary' }), ...this.getNotes({ source: 'polyphonic' })]
+      : this.getNotes({ source });
+    return encodeMidiFile(notes, options);
+  }
 
-    if (updates.minHz !== undefined) {
-      cfg.minHz = Math.max(0, updates.minHz);
+  /**
+   * Returns the active input type: 'mic', 'file' (real-time playback),
+   * 'offline' (faster-than-real-time file pass) or null when stopped.
+   */
+  getSourceType() {
+    return this.sourceType;
+  }
+
+  /**
+   * Returns where the analysis runs for the current session: 'inline' (main
+   * thread), 'worker' (worker fed over a MessagePort), 'worker-shared'
+   * (worker fed through a SharedArrayBuffer ring) or null when stopped.
+   */
+  getAnalysisMode() {
+    return this.analysisMode;
+  }
+
+  /**
+   * Returns the requested input selection (`deviceId` null = system default)
+   * and, while the microphone runs, the id of the device actually opened.
+   */
+  getInput() {
+    return { ...this.input, activeDeviceId: this.activeDeviceId };
+  }
+
+  /**
+   * Lists available audio input devices. Labels are empty until microphone
+   * permission has been granted once.
+   * @returns {Promise<Array<{deviceId:string,label:string,groupId:string}>>}
+   */
+  async listInputDevices() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices
+      .filter(device => device.kind === 'audioinput')
+      .map(({ deviceId, label, groupId }) => ({ deviceId, label, groupId }));
+  }
+
+  setInputOptions({ deviceId, channelMode } = {}) {
+    if (deviceId !== undefined) {
+      this.input.deviceId = deviceId || null;
+    }
+    if (channelMode !== undefined && CHANNEL_MODES.includes(channelMode)) {
+      this.input.channelMode = channelMode;
     }
-    if (updates.maxHz !== undefined) {
-      cfg.maxHz = Math.max(cfg.minHz + 1, updates.maxHz);
+  }
+
+  /**
+   * Changes the input device and/or channel mode. A running microphone
+   * session is reconnected to the new selection without ending it, so its
+   * notes and chord timeline carry on; file sessions pick it up the next
+   * time they start.
+   * @param {object} selection
+   * @param {string|null} [selection.deviceId] - null for the system default.
+   * @param {string} [selection.channelMode] - One of CHANNEL_MODES.
+   */
+  async setInput(selection = {}) {
+    const previous = { ...this.input };
+    this.setInputOptions(selection);
+    const changed = previous.deviceId !== this.input.deviceId ||
+      previous.channelMode !== this.input.channelMode;
+
+    if (changed && this.running && this.sourceType === 'mic') {
+      await this.reconnectMic({ retap: previous.channelMode !== this.input.channelMode });
     }
-    if (cfg.maxHz <= cfg.minHz) {
-      cfg.maxHz = cfg.minHz + 1;
+  }
+
+  /**
+   * Opens the selected microphone and swaps it in under the running session.
+   * A new channel mode also needs a new tap, which restarts the analyzer's
+   * clock; later frame times are offset so they continue from the last one.
+   * On failure the session is stopped and the error dispatched.
+   * @param {{retap:boolean}} options
+   */
+  async reconnectMic({ retap }) {
+    try {
+      const micStream = await this.openMicStream();
+      if (!this.running || this.sourceType !== 'mic') {
+        micStream.getTracks().forEach(track => track.stop());
+        return;
+      }
+      this.releaseMicStream();
+      this.micStream = micStream;
+      this.mediaStreamSource = this.audioContext.createMediaStreamSource(micStream);
+
+      if (retap) {
+        this.releaseTap();
+        this.timeOffset = this.lastFrameTime;
+        this.createTap();
+        this.workletNode.connect(this.silentGain);
+      }
+      this.mediaStreamSource.connect(this.workletNode);
+    } catch (error) {
+      await this.stop();
+      this.dispatchError(error);
+      throw error;
     }
+  }
 
-    if (updates.smoothing !== undefined) {
-      cfg.smoothing = clamp(updates.smoothing, 0, 0.999);
+  async handleDeviceChange() {
+    let devices;
+    try {
+      devices = await this.listInputDevices();
+    } catch (error) {
+      this.dispatchError(error);
+      return;
     }
-    if (updates.pcdMinRms !== undefined) {
-      cfg.pcdMinRms = Math.max(0, updates.pcdMinRms);
+    this.dispatchEvent(new CustomEvent('devicechange', { detail: { devices } }));
+
+    // The open device was unplugged: fall back to the system default rather
+    // than silently analyzing nothing.
+    if (this.running && this.sourceType === 'mic' && this.activeDeviceId &&
+        !devices.some(device => device.deviceId === this.activeDeviceId)) {
+      this.input.deviceId = null;
+      try {
+        await this.reconnectMic({ retap: false });
+      } catch {}
     }
-    if (updates.pcdThreshold !== undefined) {
-      cfg.pcdThreshold = Math.max(0, updates.pcdThreshold);
+  }
+
+  updateConfig(updates = {}) {
+    this.analyzer.updateConfig(updates);
+    this.syncWorkerConfig();
+  }
+
+  updateTuner(updates = {}) {
+    this.analyzer.updateTuner(updates);
+    this.syncWorkerConfig();
+  }
+
+  updateNoteTracker(updates = {}) {
+    this.noteTracker.updateConfig(updates);
+    this.polyNoteTracker.updateConfig(updates);
+  }
+
+  ensureWorker() {
+    if (!this.useWorker || typeof Worker === 'undefined') return null;
+    if (this.worker) return this.worker;
+
+    try {
+      this.worker = new Worker(new URL('./analysis-worker.js', import.meta.url), { type: 'module' });
+    } catch (error) {
+      console.warn('Analysis worker unavailable, analyzing on the main thread:', error);
+      this.useWorker = false;
+      return null;
     }
-    if (updates.pcdNormalize !== undefined) {
-      cfg.pcdNormalize = Math.max(0.1, updates.pcdNormalize);
+    this.worker.onmessage = this.handleWorkerMessage;
+    this.worker.onerror = (event) => {
+      this.dispatchError(new Error(event.message || 'Analysis worker failed'));
+    };
+    this.syncWorkerConfig();
+    return this.worker;
+  }
+
+  syncWorkerConfig() {
+    if (!this.worker) return;
+    this.worker.postMessage({
+      type: 'configure',
+      config: { ...this.analyzer.config },
+      tuner: { ...this.analyzer.tunerConfig },
+    });
+  }
+
+  /**
+   * Creates the tap worklet node and routes its samples to the worker (shared
+   * ring or MessagePort) or to the main thread.
+   * @param {AudioWorkletNodeOptions} [nodeOptions]
+   */
+  createTap(nodeOptions = {}) {
+    const worker = this.ensureWorker();
+    const { channelMode } = this.input;
+    const streams = streamCount(channelMode);
+    const start = { type: 'start', session: ++this.analysisSession, sampleRate: this.sampleRate, streams };
+    const processorOptions = { channelMode, streams };
+
+    if (worker && canShareMemory()) {
+      start.ring = createSampleRing(this.sampleRate * RING_SECONDS, streams);
+      processorOptions.ring = start.ring;
+    } else if (worker) {
+      processorOptions.batchSize = WORKER_BATCH_SIZE;
     }
-    if (updates.refA4 !== undefined) {
-      cfg.refA4 = Math.max(1, updates.refA4);
+
+    this.workletNode = new AudioWorkletNode(this.audioContext, 'tap', { ...nodeOptions, processorOptions });
+
+    if (!worker) {
+      this.analyzer.setChannelCount(streams - 1);
+      this.analysisMode = 'inline';
+      this.workletNode.port.onmessage = this.handleAudioFrame;
+      return this.workletNode;
     }
 
-    if (reinitWindow) {
-      this.resetBuffers();
+    const transfer = [];
+    if (start.ring) {
+      this.analysisMode = 'worker-shared';
+    } else {
+      this.analysisMode = 'worker';
+      const channel = new MessageChannel();
+      this.workletNode.port.postMessage({ type: 'connect', port: channel.port1 }, [channel.port1]);
+      start.port = channel.port2;
+      transfer.push(channel.port2);
     }
+    worker.postMessage(start, transfer);
+    return this.workletNode;
+  }
 
-    cfg.hopSize = Math.min(cfg.hopSize, cfg.windowSize);
+  flushWorker() {
+    return new Promise(resolve => {
+      const id = ++this.flushId;
+      this.pendingFlushes.set(id, resolve);
+      this.worker.postMessage({ type: 'flush', id });
+    });
   }
 
-  updateTuner(updates = {}) {
-    if (typeof updates !== 'object') return;
-    Object.assign(this.tunerConfig, updates);
+  handleWorkerMessage({ data: msg }) {
+    if (msg.type === 'flushed') {
+      const resolve = this.pendingFlushes.get(msg.id);
+      this.pendingFlushes.delete(msg.id);
+      if (resolve) resolve();
+      return;
+    }
+    if (msg.session !== this.analysisSession) return; // stale result from a stopped run
+
+    if (msg.type === 'frame') {
+      this.handleAnalysis(msg.frame);
+    } else if (msg.type === 'pitch') {
+      this.handlePitch(msg.pitch);
+    } else if (msg.type === 'error') {
+      this.dispatchError(new Error(msg.message));
+    }
   }
 
   async start() {
@@ -190,23 +543,101 @@ export class AudioProcessor extends EventTarget {
       const AudioCtx = window.AudioContext || window.webkitAudioContext;
       this.audioContext = new AudioCtx({ latencyHint: 'interactive' });
       this.sampleRate = this.audioContext.sampleRate;
+      this.analyzer.setSampleRate(this.sampleRate);
       await this.audioContext.audioWorklet.addModule(getWorkletUrl());
 
-      this.micStream = await navigator.mediaDevices.getUserMedia({
-        audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false },
-        video: false,
-      });
-
+      this.micStream = await this.openMicStream();
       this.mediaStreamSource = this.audioContext.createMediaStreamSource(this.micStream);
       this.silentGain = this.audioContext.createGain();
       this.silentGain.gain.value = 0;
-      this.workletNode = new AudioWorkletNode(this.audioContext, 'tap');
+      this.beginSession('mic');
+      this.createTap();
 
       this.mediaStreamSource.connect(this.workletNode).connect(this.silentGain).connect(this.audioContext.destination);
-      this.workletNode.port.onmessage = this.handleAudioFrame;
+      this.setRunning(true);
+    } catch (error) {
+      await this.stop();
+      this.dispatchError(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Opens the selected input device with processing turned off and records
+   * the device actually granted in `activeDeviceId`.
+   * @returns {Promise<MediaStream>}
+   */
+  async openMicStream() {
+    const { deviceId, channelMode } = this.input;
+    const stream = await navigator.mediaDevices.getUserMedia({
+      audio: {
+        deviceId: deviceId ? { exact: deviceId } : undefined,
+        // Ask for stereo so interfaces don't get folded down before the
+        // channel mode is applied.
+        channelCount: channelMode === 'left' ? undefined : { ideal: 2 },
+        echoCancellation: false,
+        noiseSuppression: false,
+        autoGainControl: false,
+      },
+      video: false,
+    });
+    const [track] = stream.getAudioTracks();
+    this.activeDeviceId = track && track.getSettings ? track.getSettings().deviceId || null : null;
+    return stream;
+  }
+
+  /**
+   * Decodes an audio file (WAV/MP3/OGG or anything the browser supports) and
+   * runs it through the same analysis pipeline as the microphone.
+   * @param {Blob|ArrayBuffer} file
+   * @param {object} [options]
+   * @param {'realtime'|'offline'} [options.mode='realtime'] - 'realtime' plays
+   *   the file audibly with visuals in sync; 'offline' analyzes it as fast as
+   *   possible without playback. In offline mode `audioTime` is the position
+   *   within the file.
+   * @returns {Promise<void>} Resolves once playback/analysis has started
+   *   (realtime) or finished (offline).
+   */
+  async startFile(file, { mode = 'realtime' } = {}) {
+    if (this.running) return;
+
+    try {
+      const AudioCtx = window.AudioContext || window.webkitAudioContext;
+      this.audioContext = new AudioCtx({ latencyHint: 'interactive' });
+      const encoded = file instanceof ArrayBuffer ? file : await file.arrayBuffer();
+      const audioBuffer = await this.audioContext.decodeAudioData(encoded);
+      this.sampleRate = audioBuffer.sampleRate;
+      this.analyzer.setSampleRate(this.sampleRate);
+
+      if (mode === 'offline') {
+        // No playback needed: release the output device straight away.
+        try { await this.audioContext.close(); } catch {}
+        this.audioContext = null;
+        this.beginSession('offline');
+        this.setRunning(true);
+        await this.runOffline(selectStreams(audioBufferChannels(audioBuffer), this.input.channelMode));
+        return;
+      }
+
+      await this.audioContext.audioWorklet.addModule(getWorkletUrl());
+
+      this.fileSource = this.audioContext.createBufferSource();
+      this.fileSource.buffer = audioBuffer;
+      this.silentGain = this.audioContext.createGain();
+      this.silentGain.gain.value = 0;
+      this.beginSession('file');
+      this.createTap({
+        channelCount: audioBuffer.numberOfChannels,
+        channelCountMode: 'explicit',
+        channelInterpretation: 'discrete',
+      });
+
+      this.fileSource.connect(this.audioContext.destination);
+      this.fileSource.connect(this.workletNode).connect(this.silentGain).connect(this.audioContext.destination);
+      this.fileSource.onended = () => { this.stop(); };
 
-      this.resetBuffers();
       this.setRunning(true);
+      this.fileSource.start();
     } catch (error) {
       await this.stop();
       this.dispatchError(error);
@@ -214,27 +645,119 @@ export class AudioProcessor extends EventTarget {
     }
   }
 
+  /**
+   * Feeds decoded samples through the analysis pipeline. With a worker the
+   * samples are sent in chunks, waiting for each to be analyzed so a stop
+   * request takes effect promptly; inline, they are pushed in worklet-sized
+   * blocks, yielding to the event loop periodically so the UI stays live.
+   * @param {Float32Array[]} streams - Output of `selectStreams`.
+   */
+  async runOffline(streams) {
+    const session = ++this.offlineSession;
+    const worker = this.ensureWorker();
+    const length = streams[0].length;
+
+    if (worker) {
+      this.analysisMode = 'worker';
+      const analysisSession = ++this.analysisSession;
+      worker.postMessage({
+        type: 'start', session: analysisSession, sampleRate: this.sampleRate, streams: streams.length,
+      });
+
+      for (let offset = 0; offset < length; offset += OFFLINE_WORKER_CHUNK) {
+        if (!this.running || session !== this.offlineSession) return;
+        const chunk = streams.map(data => data.slice(offset, offset + OFFLINE_WORKER_CHUNK));
+        worker.postMessage(
+          { type: 'samples', session: analysisSession, data: chunk },
+          chunk.map(data => data.buffer),
+        );
+        await this.flushWorker();
+      }
+
+      if (session === this.offlineSession) {
+        await this.stop();
+      }
+      return;
+    }
+
+    this.analysisMode = 'inline';
+    this.analyzer.setChannelCount(streams.length - 1);
+    let sliceStart = performance.now();
+
+    for (let offset = 0; offset < length; offset += OFFLINE_BLOCK_SIZE) {
+      if (!this.running || session !== this.offlineSession) return;
+      this.handleAudioFrame({ data: streams.map(data => data.subarray(offset, offset + OFFLINE_BLOCK_SIZE)) });
+
+      if (performance.now() - sliceStart > OFFLINE_SLICE_MS) {
+        await yieldToEventLoop();
+        sliceStart = performance.now();
+      }
+    }
+
+    if (session === this.offlineSession) {
+      await this.stop();
+    }
+  }
+
   async stop() {
     if (!this.running && !this.audioContext && !this.micStream) return;
 
+    this.offlineSession++;
+    if (this.running) {
+      this.noteTracker.flush(this.emitNote);
+      this.polyNoteTracker.flush();
+      this.chordTimeline.flush();
+    }
+    this.sourceType = null;
+    this.analysisMode = null;
     this.setRunning(false);
 
-    if (this.workletNode) {
-      this.workletNode.port.onmessage = null;
-      try { this.workletNode.disconnect(); } catch {}
-      this.workletNode = null;
+    if (this.worker) {
+      this.worker.postMessage({ type: 'stop', session: ++this.analysisSession });
+    }
+    for (const resolve of this.pendingFlushes.values()) resolve();
+    this.pendingFlushes.clear();
+
+    if (this.fileSource) {
+      this.fileSource.onended = null;
+      try { this.fileSource.stop(); } catch {}
+      try { this.fileSource.disconnect(); } catch {}
+      this.fileSource = null;
     }
 
+    this.releaseTap();
+
     if (this.silentGain) {
       try { this.silentGain.disconnect(); } catch {}
       this.silentGain = null;
     }
 
+    this.releaseMicStream();
+    this.activeDeviceId = null;
+
+    if (this.audioContext) {
+      try {
+        await this.audioContext.close();
+      } catch {}
+      this.audioContext = null;
+    }
+
+    this.resetBuffers();
+  }
+
+  releaseTap() {
+    if (this.workletNode) {
+      this.workletNode.port.onmessage = null;
+      try { this.workletNode.disconnect(); } catch {}
+      this.workletNode = null;
+    }
+  }
+
+  releaseMicStream() {
     if (this.mediaStreamSource) {
       try { this.mediaStreamSource.disconnect(); } catch {}
       this.mediaStreamSource = null;
     }
-
     if (this.micStream) {
       try {
         const tracks = this.micStream.getTracks();
@@ -242,112 +765,87 @@ export class AudioProcessor extends EventTarget {
       } catch {}
       this.micStream = null;
     }
-
-    if (this.audioContext) {
-      try {
-        await this.audioContext.close();
-      } catch {}
-      this.audioContext = null;
-    }
-
-    this.resetBuffers();
   }
 
   handleAudioFrame(event) {
     if (!this.running) return;
-    const frame = event.data;
-    const windowSize = this.config.windowSize;
-
-    for (let i = 0; i < frame.length; i++) {
-      this.ringBuffer[this.writeIndex++] = frame[i];
-      if (this.writeIndex >= windowSize) this.writeIndex = 0;
-      if (this.filled < windowSize) this.filled++;
-      this.hopCounter++;
-      if (this.hopCounter >= this.config.hopSize && this.filled >= windowSize) {
-        this.hopCounter = 0;
-        this.processFrame();
-      }
+    try {
+      this.analyzer.push(event.data, this.handleAnalysis, this.handlePitch);
+    } catch (error) {
+      this.dispatchError(error);
     }
   }
 
-  processFrame() {
+  handleAnalysis(frame) {
     if (!this.running) return;
-    try {
-      const windowSize = this.config.windowSize;
-      const start = this.writeIndex % windowSize;
-      const first = this.ringBuffer.subarray(start);
-      this.analysisBuffer.set(first, 0);
-      if (start > 0) {
-        this.analysisBuffer.set(this.ringBuffer.subarray(0, start), first.length);
-      }
-
-      const windowFn = this.windowFn;
-      for (let i = 0; i < windowSize; i++) {
-        this.analysisBuffer[i] *= windowFn[i];
-      }
-
-      const rms = frameRms(this.analysisBuffer);
-      this.lastRms = rms;
-
-      const magnitudes = this.fft.transform(this.analysisBuffer);
+    if (this.timeOffset) frame = offsetFrameTimes(frame, this.timeOffset);
+    this.lastFrameTime = frame.time;
+
+    // Worker frames arrive in fresh arrays; mirror them into the local
+    // analyzer's buffers so getCurrentPcd() stays a stable reference.
+    // Frames still in flight from before a `pcdBins` change are dropped.
+    const analyzer = this.analyzer;
+    if (frame.pcd.length !== analyzer.currentPcd.length) return;
+    if (frame.pcd !== analyzer.currentPcd) {
+      analyzer.currentPcd.set(frame.pcd);
+      analyzer.rawPcd.set(frame.rawPcd);
+      analyzer.lastRms = frame.rms;
+    }
 
-      let rawPcd;
-      if (rms >= this.config.pcdMinRms) {
-        rawPcd = this.pcdComputer.compute(magnitudes, this.sampleRate, this.config);
-      } else {
-        rawPcd = this.pcdComputer.getSilentOutput();
-      }
-      this.rawPcd.set(rawPcd);
+    const { time, ...results } = frame;
+    const detail = {
+      ...results,
+      time,
+      pcd: analyzer.currentPcd,
+      rawPcd: analyzer.rawPcd,
+      audioTime: this.sourceType === 'offline'
+        ? time
+        : (this.audioContext ? this.audioContext.currentTime : null),
+    };
+    const algorithm = this.analyzer.tunerConfig.algorithm;
+    if (algorithm !== 'yin' && algorithm !== 'mpm') {
+      this.handlePitch({ primary: frame.primary, time });
+    }
+    this.dispatchEvent(new CustomEvent('analysis', { detail }));
+
+    this.noteTracker.process(time, frame.rms, frame.primary, this.emitNote);
+    this.polyNoteTracker.process(time, frame.rms, frame.notes);
+    this.chordTimeline.process(time, frame.chord);
+
+    this.tempo = frame.tempo;
+    if (frame.onset) this.dispatchEvent(new CustomEvent('onset', { detail: frame.onset }));
+    if (frame.beat) this.dispatchEvent(new CustomEvent('beat', { detail: frame.beat }));
+    if (frame.segment) this.dispatchEvent(new CustomEvent('segment', { detail: frame.segment }));
+    if (frame.key && (!this.key || this.key.name !== frame.key.name)) {
+      this.dispatchEvent(new CustomEvent('key', { detail: frame.key }));
+    }
+    if (frame.key) this.key = frame.key;
+  }
 
-      const smoothing = clamp(this.config.smoothing, 0, 0.999);
-      const beta = 1 - smoothing;
-      for (let i = 0; i < 12; i++) {
-        this.currentPcd[i] = smoothing * this.currentPcd[i] + beta * this.rawPcd[i];
-      }
+  handlePitch(pitch) {
+    if (!this.running) return;
+    if (this.timeOffset) pitch = { ...pitch, time: pitch.time + this.timeOffset };
+    this.dispatchEvent(new CustomEvent('pitch', { detail: pitch }));
+  }
 
-      let primary = null;
-      if (this.tunerConfig.enabled && rms >= this.tunerConfig.minRMS) {
-        const est = estimatePrimary(magnitudes, this.sampleRate, this.tunerConfig.minHz, this.tunerConfig.maxHz);
-        if (est && est.prominenceDb >= this.tunerConfig.minProminence) {
-          const midiReal = 69 + 12 * Math.log2(est.freq / this.config.refA4);
-          const nearest = Math.round(midiReal);
-          const cents = (midiReal - nearest) * 100;
-          const pitchClass = ((nearest % 12) + 12) % 12;
-          primary = {
-            freq: est.freq,
-            prominenceDb: est.prominenceDb,
-            cents,
-            pitchClass,
-            nearestMidi: nearest,
-            midi: midiReal,
-          };
-        }
-      }
+  emitNote(type, note) {
+    this.dispatchEvent(new CustomEvent(type, { detail: note }));
+  }
 
-      const detail = {
-        pcd: this.currentPcd,
-        rawPcd: this.rawPcd,
-        rms,
-        magnitudes,
-        primary,
-        sampleRate: this.sampleRate,
-        audioTime: this.audioContext ? this.audioContext.currentTime : null,
-      };
-      this.dispatchEvent(new CustomEvent('analysis', { detail }));
-    } catch (error) {
-      this.dispatchError(error);
-    }
+  beginSession(sourceType) {
+    this.sourceType = sourceType;
+    this.timeOffset = 0;
+    this.lastFrameTime = 0;
+    this.resetBuffers();
+    this.noteTracker.reset();
+    this.polyNoteTracker.reset();
+    this.chordTimeline.reset();
   }
 
   resetBuffers() {
-    this.writeIndex = 0;
-    this.filled = 0;
-    this.hopCounter = 0;
-    this.ringBuffer.fill(0);
-    this.analysisBuffer.fill(0);
-    this.currentPcd.fill(0);
-    this.rawPcd.fill(0);
-    this.lastRms = 0;
+    this.analyzer.reset();
+    this.tempo = null;
+    this.key = null;
   }
 
   setRunning(value) {
@@ -0,0 +1,320 @@
+import { RealFFT } from './fft.js';
+import { hannWindow } from './windowing.js';
+
+/** Seconds of flux history behind the adaptive onset threshold. */
+const THRESHOLD_SECONDS = 0.5;
+/** Absolute flux floor, so near-silent fluctuations never count as onsets. */
+const FLUX_FLOOR = 0.002;
+/**
+ * Flux floor relative to the frame's mean log magnitude. Window jitter on a
+ * sustained tone stays under ~0.07 of it; a soft note entering over a chord
+ * reaches ~0.6 and a click several times the level.
+ */
+const FLUX_RELATIVE_FLOOR = 0.2;
+/** Minimum spacing between onsets (seconds). */
+const MIN_ONSET_INTERVAL = 0.05;
+
+/** Seconds of onset-strength envelope used for tempo estimation. */
+const TEMPO_HISTORY_SECONDS = 8;
+/** Envelope needed before the first estimate. */
+const TEMPO_MIN_SECONDS = 3;
+/** Tempo and beat phase are re-estimated this often (seconds). */
+const TEMPO_UPDATE_SECONDS = 0.5;
+/** Log-normal tempo prior: centre and width in octaves. */
+const PRIOR_BPM = 120;
+const PRIOR_OCTAVES = 1;
+/** Below this normalized autocorrelation there is no pulse and beats stop. */
+const MIN_TEMPO_CONFIDENCE = 0.1;
+/** Fraction of the beat-phase error corrected per re-estimate. */
+const PHASE_GAIN = 0.5;
+/** Per-beat decay of the accent averages used to place the downbeat. */
+const ACCENT_DECAY = 0.9;
+
+/**
+ * Spectral-flux onset detector. Works on its own short FFT of the newest raw
+ * samples: the analysis window is far too long to localize attacks.
+ *
+ * Flux is the half-wave rectified increase of the log-compressed magnitude
+ * spectrum, averaged over bins. A frame is an onset when its flux is a local
+ * maximum above `onsetThreshold` times the mean flux of the last
+ * THRESHOLD_SECONDS and above FLUX_RELATIVE_FLOOR times the frame's mean log
+ * magnitude, so sustained tones don't trigger on window jitter; confirming
+ * the maximum needs the next frame, so onsets are reported one hop late,
+ * with the time of the frame they belong to. `novelty`, the flux above that
+ * local mean and the relative floor (0 below the `pcdMinRms` gate), is the
+ * detrended envelope the tempo tracker works on.
+ */
+export class SpectralFluxOnsetDetector {
+  constructor() {
+    this.fft = new RealFFT();
+    this.buffer = null;
+    this.previous = null;
+    this.reset();
+  }
+
+  reset() {
+    if (this.previous) this.previous.fill(0);
+    this.primed = false;
+    this.history = [];
+    this.fluxBefore = 0;
+    this.last = null;     // { time, flux, threshold, voiced } of the previous frame
+    this.lastOnset = -Infinity;
+  }
+
+  /**
+   * @param {Float32Array} samples - Newest un-windowed samples, oldest first.
+   * @param {number} time - Stream time of the newest sample (seconds).
+   * @param {number} sampleRate
+   * @param {number} frameSeconds - Hop duration, for the threshold history.
+   * @param {{onsetThreshold:number, pcdMinRms:number}} options
+   * @returns {{flux:number, novelty:number, time:number, onset:{time:number,strength:number}|null}}
+   *   Flux, novelty and time of this frame, plus the onset confirmed in it,
+   *   if any.
+   */
+  process(samples, time, sampleRate, frameSeconds, options) {
+    const size = samples.length;
+    if (!this.buffer || this.buffer.length !== size) {
+      this.buffer = new Float32Array(size);
+      this.previous = new Float32Array(size >> 1);
+      this.reset();
+    }
+
+    const window = hannWindow(size);
+    let energy = 0;
+    for (let i = 0; i < size; i++) {
+      const sample = samples[i];
+      energy += sample * sample;
+      this.buffer[i] = sample * window[i];
+    }
+    const voiced = Math.sqrt(energy / size) >= options.pcdMinRms;
+
+    const magnitudes = this.fft.transform(this.buffer);
+    const previous = this.previous;
+    let flux = 0;
+    let level = 0;
+    for (let k = 1; k < magnitudes.length; k++) {
+      const value = Math.log1p(magnitudes[k]);
+      const rise = value - previous[k];
+      if (rise > 0) flux += rise;
+      level += value;
+      previous[k] = value;
+    }
+    flux = this.primed ? flux / (magnitudes.length - 1) : 0;
+    const floor = Math.max(FLUX_FLOOR, FLUX_RELATIVE_FLOOR * level / (magnitudes.length - 1));
+    this.primed = true;
+
+    const frameTime = time - size / (2 * sampleRate);
+    const history = this.history;
+    const mean = history.length ? history.reduce((a, b) => a + b, 0) / history.length : 0;
+    const threshold = Math.max(floor, mean * options.onsetThreshold);
+
+    let onset = null;
+    const last = this.last;
+    if (last && last.voiced && last.flux > last.threshold && last.flux > this.fluxBefore &&
+        last.flux >= flux && last.time - this.lastOnset >= MIN_ONSET_INTERVAL) {
+      onset = { time: last.time, strength: last.flux };
+      this.lastOnset = last.time;
+    }
+
+    history.push(flux);
+    const maxHistory = Math.max(1, Math.round(THRESHOLD_SECONDS / frameSeconds));
+    while (history.length > maxHistory) history.shift();
+    this.fluxBefore = last ? last.flux : 0;
+    this.last = { time: frameTime, flux, threshold, voiced };
+
+    const novelty = voiced ? Math.max(0, flux - Math.max(mean, floor)) : 0;
+    return { flux, novelty, time: frameTime, onset };
+  }
+}
+
+/**
+ * Tempo and beat tracker driven by the onset novelty envelope.
+ *
+ * Every TEMPO_UPDATE_SECONDS the envelope's autocorrelation is searched for
+ * the strongest beat period between `minBpm` and `maxBpm`, weighted by a
+ * log-normal prior around 120 BPM, which discourages half- and
+ * double-tempo picks when several periods correlate equally well. The
+ * beat phase comes from summing the envelope along a comb at that period;
+ * the predicted beat grid is pulled halfway towards it on each update so
+ * single stray onsets don't make it jump.
+ *
+ * Beats are counted from the first one. `downbeat` marks the position
+ * within each group of `beatsPerBar` beats whose onsets have been strongest
+ * on average, which follows accented first beats but is not a real meter
+ * analysis.
+ */
+export class TempoTracker {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.envelope = [];
+    this.frameSeconds = 0;
+    this.sinceUpdate = 0;
+    this.bpm = 0;
+    this.confidence = 0;
+    this.nextBeat = null;
+    this.beatIndex = 0;
+    this.accents = [];
+  }
+
+  /**
+   * @param {number} time - Time of the envelope sample (seconds).
+   * @param {number} strength - Onset novelty at that time.
+   * @param {number} frameSeconds - Envelope sample spacing (the hop).
+   * @param {{minBpm:number, maxBpm:number, beatsPerBar:number}} options
+   * @returns {{time:number,index:number,downbeat:boolean,bpm:number}|null}
+   *   The beat that fell at or before `time`, if any.
+   */
+  update(time, strength, frameSeconds, options) {
+    if (frameSeconds !== this.frameSeconds) {
+      this.reset();
+      this.frameSeconds = frameSeconds;
+    }
+
+    const envelope = this.envelope;
+    envelope.push(strength);
+    const maxLength = Math.round(TEMPO_HISTORY_SECONDS / frameSeconds);
+    while (envelope.length > maxLength) envelope.shift();
+
+    this.sinceUpdate += frameSeconds;
+    if (this.sinceUpdate >= TEMPO_UPDATE_SECONDS && envelope.length * frameSeconds >= TEMPO_MIN_SECONDS) {
+      this.sinceUpdate = 0;
+      this.estimate(time, options);
+    }
+
+    if (this.nextBeat === null || time < this.nextBeat) return null;
+
+    const period = 60 / this.bpm;
+    const index = this.beatIndex++;
+    const beat = {
+      time: this.nextBeat,
+      index,
+      downbeat: this.updateAccents(index, time, options.beatsPerBar),
+      bpm: this.bpm,
+    };
+    this.nextBeat += period;
+    // Skip beats missed after a long gap rather than firing them all at once
+    if (this.nextBeat <= time) this.nextBeat += Math.ceil((time - this.nextBeat) / period) * period;
+    return beat;
+  }
+
+  /**
+   * Folds the envelope peak around the beat into the (decaying) accent mean
+   * of its bar position and reports whether that position is the strongest.
+   */
+  updateAccents(index, time, beatsPerBar) {
+    const accents = this.accents;
+    if (accents.length !== beatsPerBar) {
+      accents.length = 0;
+      for (let i = 0; i < beatsPerBar; i++) accents.push({ sum: 0, weight: 0 });
+    }
+
+    const env = this.envelope;
+    const center = env.length - 1 - Math.round((time - this.nextBeat) / this.frameSeconds);
+    let peak = 0;
+    for (let i = Math.max(0, center - 2); i <= Math.min(env.length - 1, center + 2); i++) {
+      peak = Math.max(peak, env[i]);
+    }
+
+    const position = index % beatsPerBar;
+    const accent = accents[position];
+    accent.sum = ACCENT_DECAY * accent.sum + peak;
+    accent.weight = ACCENT_DECAY * accent.weight + 1;
+    let strongest = 0;
+    let strongestMean = -1;
+    for (let i = 0; i < beatsPerBar; i++) {
+      const mean = accents[i].weight > 0 ? accents[i].sum / accents[i].weight : 0;
+      if (mean > strongestMean) {
+        strongestMean = mean;
+        strongest = i;
+      }
+    }
+    return position === strongest;
+  }
+
+  estimate(time, { minBpm, maxBpm }) {
+    const fs = this.frameSeconds;
+    const env = this.envelope;
+    const n = env.length;
+    // Whole lags inside the range, so interpolation can't leave it by much
+    const minLag = Math.max(1, Math.ceil(60 / maxBpm / fs));
+    const maxLag = Math.min(n >> 1, Math.floor(60 / minBpm / fs));
+    if (maxLag <= minLag + 1) return;
+
+    let mean = 0;
+    for (let i = 0; i < n; i++) mean += env[i];
+    mean /= n;
+
+    const acf = lag => {
+      let sum = 0;
+      for (let i = lag; i < n; i++) sum += (env[i] - mean) * (env[i - lag] - mean);
+      return sum / (n - lag);
+    };
+    const zero = acf(0);
+    if (zero <= 0) return;
+
+    const values = new Float64Array(maxLag + 2);
+    for (let lag = minLag - 1; lag <= maxLag + 1; lag++) values[lag] = lag > 0 ? acf(lag) : zero;
+
+    let bestLag = -1;
+    let bestScore = 0;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+      const bpm = 60 / (lag * fs);
+      const octaves = Math.log2(bpm / PRIOR_BPM) / PRIOR_OCTAVES;
+      const score = values[lag] * Math.exp(-0.5 * octaves * octaves);
+      if (score > bestScore) {
+        bestScore = score;
+        bestLag = lag;
+      }
+    }
+    if (bestLag < 0) return;
+
+    const confidence = Math.min(1, values[bestLag] / zero);
+    if (confidence < MIN_TEMPO_CONFIDENCE) {
+      // No pulse any more: keep the last tempo but stop predicting beats
+      this.confidence = confidence;
+      this.nextBeat = null;
+      return;
+    }
+
+    const a = values[bestLag - 1];
+    const b = values[bestLag];
+    const c = values[bestLag + 1];
+    const denom = a - 2 * b + c;
+    const offset = denom < 0 ? Math.max(-0.5, Math.min(0.5, 0.5 * (a - c) / denom)) : 0;
+    // Clamp after interpolation so the reported tempo stays within range
+    const periodFrames = Math.min(60 / minBpm / fs, Math.max(60 / maxBpm / fs, bestLag + offset));
+
+    this.bpm = Math.min(maxBpm, Math.max(minBpm, 60 / (periodFrames * fs)));
+    this.confidence = confidence;
+
+    // Beat phase: frames back from the newest sample to the strongest comb
+    let bestPhase = 0;
+    let bestSum = -Infinity;
+    for (let phase = 0; phase < Math.round(periodFrames); phase++) {
+      let sum = 0;
+      for (let k = 0; ; k++) {
+        const i = n - 1 - phase - Math.round(k * periodFrames);
+        if (i < 0) break;
+        sum += env[i];
+      }
+      if (sum > bestSum) {
+        bestSum = sum;
+        bestPhase = phase;
+      }
+    }
+
+    const period = periodFrames * fs;
+    const target = time - bestPhase * fs + period;
+    if (this.nextBeat === null) {
+      this.nextBeat = target;
+    } else {
+      let error = (target - this.nextBeat) % period;
+      if (error > period / 2) error -= period;
+      if (error < -period / 2) error += period;
+      this.nextBeat += PHASE_GAIN * error;
+    }
+  }
+}
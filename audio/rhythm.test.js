@@ -0,0 +1,64 @@
+/**
+ * Onset and tempo checks. Run with `node --test audio/` (Node 20 also needs
+ * `--experimental-default-type=module`).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeSamples } from './analyzer.js';
+
+const SAMPLE_RATE = 44100;
+
+function midiFreq(midi) {
+  return 440 * 2 ** ((midi - 69) / 12);
+}
+
+function sustained(midis, seconds, amplitude) {
+  const samples = new Float32Array(Math.round(SAMPLE_RATE * seconds));
+  for (let i = 0; i < samples.length; i++) {
+    for (const midi of midis) samples[i] += amplitude * Math.sin(2 * Math.PI * midiFreq(midi) * i / SAMPLE_RATE);
+  }
+  return samples;
+}
+
+function clicks(bpm, seconds) {
+  const samples = new Float32Array(Math.round(SAMPLE_RATE * seconds));
+  const period = 60 / bpm * SAMPLE_RATE;
+  for (let start = 0; start < samples.length; start += period) {
+    const at = Math.round(start);
+    for (let i = 0; i < 441 && at + i < samples.length; i++) {
+      samples[at + i] = 0.8 * Math.exp(-i / 60) * Math.sin(2 * Math.PI * 1000 * i / SAMPLE_RATE);
+    }
+  }
+  return samples;
+}
+
+test('a sustained tone produces no onsets', () => {
+  for (const midis of [[60, 64, 67], [45]]) {
+    const frames = analyzeSamples(sustained(midis, 6, 0.8), SAMPLE_RATE, { hopSize: 1024 });
+    assert.equal(frames.filter((frame) => frame.onset).length, 0, `onsets on ${midis}`);
+  }
+});
+
+test('clicks still produce onsets', () => {
+  const frames = analyzeSamples(clicks(120, 4), SAMPLE_RATE, { hopSize: 1024 });
+  assert.ok(frames.filter((frame) => frame.onset).length >= 6);
+});
+
+test('the estimated tempo stays within minBpm..maxBpm', () => {
+  const cases = [
+    [{ minBpm: 60, maxBpm: 200 }, [58, 70, 230]],
+    [{ minBpm: 100, maxBpm: 200 }, [198, 202]],
+  ];
+  let reported = 0;
+  for (const [range, rates] of cases) {
+    for (const bpm of rates) {
+      const tempos = analyzeSamples(clicks(bpm, 10), SAMPLE_RATE, { ...range, hopSize: 1024 })
+        .filter((frame) => frame.tempo).map((frame) => frame.tempo.bpm);
+      reported += tempos.length;
+      for (const tempo of tempos) {
+        assert.ok(tempo >= range.minBpm && tempo <= range.maxBpm, `${tempo} BPM from ${bpm} BPM clicks`);
+      }
+    }
+  }
+  assert.ok(reported > 0);
+});
@@ -0,0 +1,92 @@
+/**
+ * Single-producer/single-consumer sample ring on a SharedArrayBuffer, used to
+ * stream audio from the AudioWorklet to the analysis worker without posting a
+ * message per render quantum.
+ *
+ * Layout: `header` is an Int32Array whose slot 0 holds the total number of
+ * frames written (wrapping at 2^32) and slot 1 the number of interleaved
+ * streams per frame; `data` is a Float32Array of `capacity * streams` samples
+ * where the capacity is a power of two. The producer (see the worklet source
+ * in processor.js) writes a frame's samples, then publishes the new count
+ * with Atomics.store + Atomics.notify.
+ */
+
+export const RING_WRITE_INDEX = 0;
+export const RING_STREAMS = 1;
+
+/**
+ * Returns true when SharedArrayBuffer can actually be shared with workers
+ * (requires a cross-origin isolated page).
+ */
+export function canShareMemory() {
+  return typeof SharedArrayBuffer !== 'undefined' &&
+    typeof Atomics !== 'undefined' &&
+    globalThis.crossOriginIsolated === true;
+}
+
+/**
+ * Allocates the shared buffers for a ring.
+ * @param {number} capacity - Frames; rounded up to a power of two.
+ * @param {number} [streams=1] - Interleaved sample streams per frame.
+ * @returns {{header:SharedArrayBuffer,data:SharedArrayBuffer}}
+ */
+export function createSampleRing(capacity, streams = 1) {
+  let size = 1;
+  while (size < capacity) size <<= 1;
+  const header = new SharedArrayBuffer(Int32Array.BYTES_PER_ELEMENT * 4);
+  new Int32Array(header)[RING_STREAMS] = streams;
+  return {
+    header,
+    data: new SharedArrayBuffer(Float32Array.BYTES_PER_ELEMENT * size * streams),
+  };
+}
+
+/**
+ * Consumer side of the ring. `read()` hands out everything written since the
+ * previous call. If the producer has lapped the reader, the oldest frames
+ * are dropped and `overruns` is incremented.
+ */
+export class SampleRingReader {
+  constructor({ header, data }) {
+    this.header = new Int32Array(header);
+    this.data = new Float32Array(data);
+    this.streams = Math.max(1, this.header[RING_STREAMS]);
+    this.capacity = this.data.length / this.streams;
+    this.mask = this.capacity - 1;
+    this.readCount = Atomics.load(this.header, RING_WRITE_INDEX);
+    this.scratch = [];
+    for (let s = 0; s < this.streams; s++) this.scratch.push(new Float32Array(this.capacity));
+    this.overruns = 0;
+  }
+
+  /** Last published write count, for use with Atomics.wait/waitAsync. */
+  peekWriteCount() {
+    return Atomics.load(this.header, RING_WRITE_INDEX);
+  }
+
+  /**
+   * @returns {Float32Array[]} One de-interleaved view per stream holding the
+   *   new samples (possibly empty). Views into internal scratch buffers,
+   *   valid until the next call.
+   */
+  read() {
+    const writeCount = Atomics.load(this.header, RING_WRITE_INDEX);
+    let available = (writeCount - this.readCount) >>> 0;
+
+    if (available > this.capacity) {
+      this.overruns++;
+      this.readCount = (writeCount - this.capacity) | 0;
+      available = this.capacity;
+    }
+
+    const streams = this.streams;
+    for (let i = 0; i < available; i++) {
+      const base = ((this.readCount + i) & this.mask) * streams;
+      for (let s = 0; s < streams; s++) {
+        this.scratch[s][i] = this.data[base + s];
+      }
+    }
+    this.readCount = writeCount;
+    return this.scratch.map(buffer => buffer.subarray(0, available));
+  }
+}
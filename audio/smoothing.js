@@ -0,0 +1,113 @@
+/**
+ * Smoothing modes, selected with `smoothingMode` (analyzer and tuner config):
+ *  - 'ema': one-pole low-pass with separate attack (rising) and release
+ *           (falling) time constants
+ *  - 'median': the same low-pass applied to the median of the inputs of the
+ *              last `smoothingHoldMs`, which rejects short outliers
+ *  - 'peak': rises with the attack time, holds a peak for `smoothingHoldMs`,
+ *            then falls with the release time
+ */
+export const SMOOTHING_MODES = ['ema', 'median', 'peak'];
+
+/** Upper bound on the median history, whatever the hold time and frame rate. */
+const MAX_HISTORY = 256;
+
+/**
+ * Per-frame EMA factor for time constant `tauMs` at a frame spacing of
+ * `dtSeconds`: 1 - e^(-dt/τ), so the response reaches 63% after `tauMs`
+ * whatever the hop size or sample rate.
+ */
+function alpha(dtSeconds, tauMs) {
+  if (tauMs <= 0) return 1;
+  return 1 - Math.exp(-1000 * dtSeconds / tauMs);
+}
+
+function median(values, count) {
+  const sorted = values.slice(0, count).sort((a, b) => a - b);
+  const mid = count >> 1;
+  return count % 2 ? sorted[mid] : 0.5 * (sorted[mid - 1] + sorted[mid]);
+}
+
+/**
+ * Time-constant smoother for a fixed-length vector (the PCD) or a single
+ * value (the tuner needle). The smoothed state lives in the caller's
+ * `output` array, so an existing buffer such as `currentPcd` keeps its
+ * identity; the smoother only keeps the median history and hold timers.
+ * The first frame after `reset()` is copied through unsmoothed.
+ */
+export class Smoother {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.time = 0;
+    this.primed = false;
+    this.history = [];      // { time, values } for 'median', oldest first
+    this.holdUntil = null;  // Float64Array of per-element hold deadlines for 'peak'
+    this.scratch = null;
+  }
+
+  /**
+   * Moves `output` towards `input` by one frame.
+   * @param {ArrayLike<number>} input
+   * @param {Float32Array|Float64Array|number[]} output - Smoothed state,
+   *   updated in place; same length as `input`.
+   * @param {number} dtSeconds - Time since the previous frame.
+   * @param {{smoothingMode:string, smoothingAttackMs:number,
+   *   smoothingReleaseMs:number, smoothingHoldMs:number}} options
+   * @returns {typeof output} `output`
+   */
+  process(input, output, dtSeconds, options) {
+    const { smoothingMode, smoothingAttackMs, smoothingReleaseMs, smoothingHoldMs } = options;
+    const length = input.length;
+    const dt = Math.max(0, dtSeconds);
+    this.time += dt;
+
+    if (!this.primed || this.holdUntil === null || this.holdUntil.length !== length) {
+      this.history = [];
+      this.holdUntil = new Float64Array(length);
+      this.scratch = new Float64Array(MAX_HISTORY);
+      this.primed = true;
+      for (let i = 0; i < length; i++) output[i] = input[i];
+      if (smoothingMode === 'median') this.pushHistory(input, smoothingHoldMs);
+      return output;
+    }
+
+    const attack = alpha(dt, smoothingAttackMs);
+    const release = alpha(dt, smoothingReleaseMs);
+
+    if (smoothingMode === 'median') {
+      const history = this.pushHistory(input, smoothingHoldMs);
+      const scratch = this.scratch;
+      for (let i = 0; i < length; i++) {
+        for (let f = 0; f < history.length; f++) scratch[f] = history[f].values[i];
+        const target = median(scratch, history.length);
+        output[i] += (target > output[i] ? attack : release) * (target - output[i]);
+      }
+      return output;
+    }
+
+    this.history = [];
+    const holdSeconds = Math.max(0, smoothingHoldMs) / 1000;
+    for (let i = 0; i < length; i++) {
+      const target = input[i];
+      if (target >= output[i]) {
+        output[i] += attack * (target - output[i]);
+        if (smoothingMode === 'peak') this.holdUntil[i] = this.time + holdSeconds;
+      } else if (smoothingMode !== 'peak' || this.time >= this.holdUntil[i]) {
+        output[i] += release * (target - output[i]);
+      }
+    }
+    return output;
+  }
+
+  /** Appends a copy of `input` and drops entries older than `holdMs`. */
+  pushHistory(input, holdMs) {
+    const history = this.history;
+    history.push({ time: this.time, values: Float64Array.from(input) });
+    const oldest = this.time - Math.max(0, holdMs) / 1000;
+    while (history.length > 1 && (history[0].time < oldest || history.length > MAX_HISTORY)) history.shift();
+    return history;
+  }
+}
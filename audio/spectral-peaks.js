@@ -0,0 +1,69 @@
+/**
+ * Finds local maxima in an FFT magnitude spectrum and refines their
+ * frequency/amplitude with parabolic interpolation on the dB spectrum.
+ * Only the strongest `maxPeaks` are kept, sorted by descending amplitude, in
+ * preallocated buffers (`freqs`, `amps`, first `count` entries valid) that are
+ * reused between calls.
+ */
+export class SpectralPeakPicker {
+  /**
+   * @param {number} [maxPeaks=100]
+   */
+  constructor(maxPeaks = 100) {
+    this.maxPeaks = maxPeaks;
+    this.freqs = new Float32Array(maxPeaks);
+    this.amps = new Float32Array(maxPeaks);
+    this.count = 0;
+  }
+
+  /**
+   * @param {Float32Array} magnitudes - FFT magnitudes.
+   * @param {number} binHz - Frequency spacing of `magnitudes`.
+   * @param {number} minHz
+   * @param {number} maxHz
+   * @param {number} threshold - Minimum magnitude of a peak.
+   * @returns {number} Number of peaks found.
+   */
+  find(magnitudes, binHz, minHz, maxHz, threshold) {
+    const kMin = Math.max(2, Math.floor(minHz / binHz));
+    const kMax = Math.min(magnitudes.length - 2, Math.ceil(maxHz / binHz));
+    this.count = 0;
+
+    for (let k = kMin; k <= kMax; k++) {
+      const b = magnitudes[k];
+      if (b <= threshold || b < magnitudes[k - 1] || b <= magnitudes[k + 1]) continue;
+
+      const a = 20 * Math.log10(magnitudes[k - 1] + 1e-12);
+      const bDb = 20 * Math.log10(b + 1e-12);
+      const c = 20 * Math.log10(magnitudes[k + 1] + 1e-12);
+      const denom = a - 2 * bDb + c;
+      const delta = denom !== 0 ? Math.max(-0.5, Math.min(0.5, 0.5 * (a - c) / denom)) : 0;
+      const freq = (k + delta) * binHz;
+      const amp = Math.pow(10, (bDb - 0.25 * (a - c) * delta) / 20);
+      this.insert(freq, amp);
+    }
+
+    return this.count;
+  }
+
+  insert(freq, amp) {
+    const freqs = this.freqs;
+    const amps = this.amps;
+    let n = this.count;
+
+    if (n === this.maxPeaks) {
+      if (amp <= amps[n - 1]) return;
+      n--; // drop the weakest
+    }
+    // Keep peaks sorted by descending amplitude
+    let i = n;
+    while (i > 0 && amps[i - 1] < amp) {
+      amps[i] = amps[i - 1];
+      freqs[i] = freqs[i - 1];
+      i--;
+    }
+    amps[i] = amp;
+    freqs[i] = freq;
+    this.count = n + 1;
+  }
+}
@@ -0,0 +1,190 @@
+/**
+ * Temperaments for the tuner: the 12 pitch classes tuned as cents above a
+ * tonic, and the Scala (.scl/.kbm) reader that turns tuning files into the
+ * same shape. Tables are rotated onto `tonic` (0 = C … 11 = B); the A above
+ * the tonic's C keeps the reference frequency (`refA4`), as in Scala's
+ * default keyboard mapping.
+ */
+
+/** Twelve fifths from Eb to G#, each `fifth` cents wide, folded into one octave. */
+function chainOfFifths(fifth) {
+  const cents = new Array(12).fill(0);
+  for (let k = -3; k <= 8; k++) {
+    const pc = ((7 * k) % 12 + 12) % 12;
+    cents[pc] = ((fifth * k) % 1200 + 1200) % 1200;
+  }
+  return cents;
+}
+
+const ratioToCents = ratio => 1200 * Math.log2(ratio);
+
+/** Preset tables: cents of the 12 degrees above the tonic (degree 0 = 0). */
+export const TEMPERAMENTS = {
+  equal: Array.from({ length: 12 }, (_, i) => i * 100),
+  pythagorean: chainOfFifths(ratioToCents(3 / 2)),
+  meantone: chainOfFifths(ratioToCents(5) / 4), // quarter-comma: pure major thirds
+  werckmeister3: [0, 90.225, 192.18, 294.135, 390.225, 498.045, 588.27, 696.09, 792.18, 888.27, 996.09, 1092.18],
+  just: [1, 16 / 15, 9 / 8, 6 / 5, 5 / 4, 4 / 3, 45 / 32, 3 / 2, 8 / 5, 5 / 3, 9 / 5, 15 / 8].map(ratioToCents),
+};
+
+/**
+ * Deviation of every pitch class from 12-TET (cents), with A at 0.
+ * @param {string|number[]} temperament - A TEMPERAMENTS key or 12 cents
+ *   values above the tonic.
+ * @param {number} tonic - Pitch class of degree 0.
+ * @returns {Float64Array|null} Indexed by pitch class; null when
+ *   `temperament` is neither a preset nor 12 finite numbers.
+ */
+export function temperamentOffsets(temperament, tonic) {
+  const table = typeof temperament === 'string' ? TEMPERAMENTS[temperament] : temperament;
+  if (!Array.isArray(table) || table.length !== 12 || !table.every(Number.isFinite)) return null;
+  const root = ((Math.round(tonic) % 12) + 12) % 12;
+  if (!Number.isFinite(root)) return null;
+
+  const offsets = new Float64Array(12);
+  for (let degree = 0; degree < 12; degree++) {
+    const pc = (root + degree) % 12;
+    offsets[pc] = table[degree] - degree * 100;
+  }
+  const a = offsets[9];
+  for (let pc = 0; pc < 12; pc++) offsets[pc] -= a;
+  return offsets;
+}
+
+/**
+ * Nearest tempered note to a pitch and the deviation from it.
+ * @param {number} midiReal - Fractional 12-TET MIDI number of the pitch.
+ * @param {Float64Array} offsets - From temperamentOffsets.
+ * @returns {{midi:number, pitchClass:number, cents:number, targetMidi:number}}
+ *   `targetMidi` is the tempered target as a fractional 12-TET MIDI number.
+ */
+export function temperedPitch(midiReal, offsets) {
+  const base = Math.round(midiReal);
+  let best = null;
+  for (let midi = base - 1; midi <= base + 1; midi++) {
+    const pitchClass = ((midi % 12) + 12) % 12;
+    const targetMidi = midi + offsets[pitchClass] / 100;
+    const cents = (midiReal - targetMidi) * 100;
+    if (!best || Math.abs(cents) < Math.abs(best.cents)) best = { midi, pitchClass, cents, targetMidi };
+  }
+  return best;
+}
+
+/** Non-comment lines of a Scala file ('!' starts a comment line). */
+function scalaLines(text) {
+  return String(text).split(/\r?\n/).filter(line => !line.startsWith('!'));
+}
+
+/**
+ * Parses a Scala scale (.scl).
+ * @param {string} text
+ * @returns {{description:string, cents:number[]}} `cents` lists the degrees
+ *   above 1/1 as written; the last one is the period (usually 1200).
+ * @throws {Error} On a malformed file.
+ */
+export function parseScala(text) {
+  const lines = scalaLines(text);
+  if (lines.length < 2) throw new Error('Scala file is missing its description or note count');
+  const description = lines[0].trim();
+  const count = parseInt(lines[1].trim(), 10);
+  if (!Number.isInteger(count) || count < 1) throw new Error(`Invalid Scala note count "${lines[1].trim()}"`);
+
+  const cents = [];
+  for (const line of lines.slice(2)) {
+    if (cents.length === count) break;
+    const token = line.trim().split(/\s+/)[0];
+    if (!token) continue;
+    let value;
+    if (token.includes('.')) {
+      value = Number(token);
+    } else {
+      const [num, den = '1'] = token.split('/');
+      const ratio = Number(num) / Number(den);
+      value = ratio > 0 ? ratioToCents(ratio) : NaN;
+    }
+    if (!Number.isFinite(value)) throw new Error(`Invalid Scala pitch "${token}"`);
+    cents.push(value);
+  }
+  if (cents.length !== count) throw new Error(`Scala file lists ${cents.length} of ${count} pitches`);
+  return { description, cents };
+}
+
+/**
+ * Parses a Scala keyboard mapping (.kbm).
+ * @param {string} text
+ * @returns {{size:number, first:number, last:number, middle:number, referenceNote:number,
+ *   referenceFreq:number, octaveDegree:number, mapping:Array<number|null>}}
+ *   Unmapped keys ('x') are null.
+ * @throws {Error} On a malformed file.
+ */
+export function parseKeyboardMapping(text) {
+  const lines = scalaLines(text).map(line => line.trim().split(/\s+/)[0]).filter(Boolean);
+  if (lines.length < 7) throw new Error('Keyboard mapping is missing header lines');
+  const [size, first, last, middle, referenceNote] = lines.slice(0, 5).map(v => parseInt(v, 10));
+  const referenceFreq = Number(lines[5]);
+  const octaveDegree = parseInt(lines[6], 10);
+  if (![size, first, last, middle, referenceNote, octaveDegree].every(Number.isInteger) ||
+      !(referenceFreq > 0) || size < 0) {
+    throw new Error('Invalid keyboard mapping header');
+  }
+  const mapping = [];
+  for (let i = 0; i < size; i++) {
+    const entry = lines[7 + i];
+    if (entry === undefined || entry === 'x') {
+      mapping.push(null);
+    } else {
+      const degree = parseInt(entry, 10);
+      if (!Number.isInteger(degree)) throw new Error(`Invalid keyboard mapping entry "${entry}"`);
+      mapping.push(degree);
+    }
+  }
+  return { size, first, last, middle, referenceNote, referenceFreq, octaveDegree, mapping };
+}
+
+/**
+ * Converts a Scala scale, optionally with a keyboard mapping, into a tuner
+ * temperament. Without a mapping the scale must have 12 notes per octave and
+ * starts on C. A mapping must cover 12 keys per octave (or be linear, size
+ * 0); its middle note sets the tonic and its reference note and frequency
+ * set `refA4`. Unmapped keys stay at 12-TET.
+ * @param {{description:string, cents:number[]}} scale - From parseScala.
+ * @param {object} [kbm] - From parseKeyboardMapping.
+ * @returns {{name:string, cents:number[], tonic:number, refA4:number|null}}
+ *   `cents` is the 12-degree table for the `temperament` tuner option;
+ *   `refA4` is null without a mapping.
+ * @throws {Error} When the scale can't be laid out on 12 pitch classes.
+ */
+export function scalaToTemperament(scale, kbm = null) {
+  const notes = scale.cents.length;
+  const period = scale.cents[notes - 1];
+  const degreeCents = degree => {
+    const octave = Math.floor(degree / notes);
+    const index = degree - octave * notes;
+    return octave * period + (index === 0 ? 0 : scale.cents[index - 1]);
+  };
+
+  const size = kbm ? kbm.size : 0;
+  if (size !== 0 && size !== 12) throw new Error(`Keyboard mapping has ${size} keys per octave; 12 are needed`);
+  if (size === 0 && notes !== 12) throw new Error(`Scale has ${notes} notes per octave; map it onto 12 keys with a .kbm file`);
+  const octaveDegree = kbm && kbm.octaveDegree > 0 ? kbm.octaveDegree : notes;
+  if (size === 12 && Math.abs(degreeCents(octaveDegree) - 1200) > 1) {
+    throw new Error('The mapped scale does not repeat at the octave');
+  }
+  if (size === 0 && Math.abs(period - 1200) > 1) throw new Error('The scale does not repeat at the octave');
+
+  const cents = [];
+  for (let key = 0; key < 12; key++) {
+    const degree = size === 12 ? kbm.mapping[key] : key;
+    cents.push(degree === null ? key * 100 : degreeCents(degree));
+  }
+
+  const tonic = kbm ? ((kbm.middle % 12) + 12) % 12 : 0;
+  let refA4 = null;
+  if (kbm) {
+    const offsets = temperamentOffsets(cents, tonic);
+    const ref = kbm.referenceNote;
+    const refMidi = ref + offsets[((ref % 12) + 12) % 12] / 100;
+    refA4 = kbm.referenceFreq * Math.pow(2, (69 - refMidi) / 12);
+  }
+  return { name: scale.description, cents, tonic, refA4 };
+}
@@ -0,0 +1,79 @@
+import { SpectralPeakPicker } from './spectral-peaks.js';
+
+/** Peaks per frame that vote on the tuning offset. */
+const MAX_TUNING_PEAKS = 24;
+/** Peaks below this many FFT bins are too coarse to resolve cents. */
+const MIN_PEAK_BIN = 20;
+/** Time constant (s) of the exponential memory over recent frames. */
+const TUNING_TIME_CONSTANT = 8;
+/** Minimum resultant length before the estimate replaces the base reference. */
+const MIN_CONFIDENCE = 0.25;
+/** Estimates are rounded to this many cents so lookup tables aren't rebuilt every frame. */
+const CENTS_RESOLUTION = 0.5;
+
+/**
+ * Estimates the global tuning offset of the input relative to a base A4.
+ *
+ * Each spectral peak's deviation from the nearest semitone is a point on a
+ * circle (±50 cents wrap around), so deviations are averaged as unit vectors
+ * weighted by peak energy, with an exponential decay over recent frames. The
+ * angle of the mean vector is the offset; its length (0..1) is the
+ * confidence. Below MIN_CONFIDENCE the base reference is kept.
+ */
+export class TuningEstimator {
+  constructor() {
+    this.peaks = new SpectralPeakPicker(MAX_TUNING_PEAKS);
+    this.reset();
+  }
+
+  reset() {
+    this.sumCos = 0;
+    this.sumSin = 0;
+    this.sumWeight = 0;
+    this.cents = 0;
+    this.confidence = 0;
+  }
+
+  /**
+   * Folds one frame into the running estimate.
+   * @param {Float32Array} magnitudes - FFT magnitudes.
+   * @param {number} sampleRate
+   * @param {number} frameSeconds - Time since the previous frame (hop length).
+   * @param {object} options - `minHz`, `maxHz`, `pcdThreshold`, `refA4` (the base).
+   */
+  update(magnitudes, sampleRate, frameSeconds, options) {
+    const { minHz, maxHz, pcdThreshold, refA4 } = options;
+    const binHz = sampleRate / (magnitudes.length * 2);
+    const decay = Math.exp(-frameSeconds / TUNING_TIME_CONSTANT);
+    this.sumCos *= decay;
+    this.sumSin *= decay;
+    this.sumWeight *= decay;
+
+    const { freqs, amps } = this.peaks;
+    const count = this.peaks.find(magnitudes, binHz, Math.max(minHz, MIN_PEAK_BIN * binHz), maxHz, pcdThreshold);
+    const log2A4 = Math.log2(refA4);
+    for (let p = 0; p < count; p++) {
+      const semis = 12 * (Math.log2(freqs[p]) - log2A4);
+      const angle = 2 * Math.PI * (semis - Math.round(semis));
+      const weight = amps[p] * amps[p];
+      this.sumCos += weight * Math.cos(angle);
+      this.sumSin += weight * Math.sin(angle);
+      this.sumWeight += weight;
+    }
+
+    if (this.sumWeight > 0) {
+      const cents = 100 * Math.atan2(this.sumSin, this.sumCos) / (2 * Math.PI);
+      this.cents = Math.round(cents / CENTS_RESOLUTION) * CENTS_RESOLUTION;
+      this.confidence = Math.hypot(this.sumCos, this.sumSin) / this.sumWeight;
+    }
+  }
+
+  /**
+   * Offset (cents) from the base reference currently in effect: the estimate
+   * once it is confident enough, otherwise 0.
+   * @returns {number}
+   */
+  getOffsetCents() {
+    return this.confidence >= MIN_CONFIDENCE ? this.cents : 0;
+  }
+}
@@ -1,4 +1,72 @@
 const windowCache = new Map();
+// Only the latest Kaiser window per size: the beta slider would otherwise
+// leave one window behind per step
+const kaiserCache = new Map(); // size -> { beta, window }
+const rmsScaleCache = new WeakMap();
+
+/**
+ * Supported analysis windows, selected with `config.windowType`:
+ *  - 'hann':            good all-rounder (default)
+ *  - 'hamming':         narrower main lobe, higher far sidelobes
+ *  - 'blackman-harris': 4-term, very low sidelobes (-92 dB)
+ *  - 'kaiser':          tunable with `kaiserBeta` (higher = lower sidelobes, wider lobe)
+ *  - 'flat-top':        accurate peak amplitudes, very wide main lobe
+ */
+export const WINDOW_TYPES = ['hann', 'hamming', 'blackman-harris', 'kaiser', 'flat-top'];
+
+const COSINE_COEFFICIENTS = {
+  'hann': [0.5, 0.5],
+  'hamming': [0.54, 0.46],
+  'blackman-harris': [0.35875, 0.48829, 0.14128, 0.01168],
+  'flat-top': [0.21557895, 0.41663158, 0.277263158, 0.083578947, 0.006947368],
+};
+
+/** Zeroth-order modified Bessel function of the first kind (power series). */
+function besselI0(x) {
+  let sum = 1;
+  let term = 1;
+  const q = (x * x) / 4;
+  for (let k = 1; k < 50; k++) {
+    term *= q / (k * k);
+    sum += term;
+    if (term < sum * 1e-12) break;
+  }
+  return sum;
+}
+
+function fillCosineSum(window, coefficients) {
+  const size = window.length;
+  const factor = 2 * Math.PI / (size - 1);
+  for (let n = 0; n < size; n++) {
+    let value = 0;
+    for (let k = 0; k < coefficients.length; k++) {
+      const term = coefficients[k] * Math.cos(k * factor * n);
+      value += k % 2 === 0 ? term : -term;
+    }
+    window[n] = value;
+  }
+}
+
+function fillKaiser(window, beta) {
+  const size = window.length;
+  const norm = 1 / besselI0(beta);
+  for (let n = 0; n < size; n++) {
+    const r = (2 * n) / (size - 1) - 1;
+    window[n] = besselI0(beta * Math.sqrt(Math.max(0, 1 - r * r))) * norm;
+  }
+}
+
+function meanOf(window) {
+  let sum = 0;
+  for (let n = 0; n < window.length; n++) sum += window[n];
+  return sum / window.length;
+}
+
+function meanSquareOf(window) {
+  let sum = 0;
+  for (let n = 0; n < window.length; n++) sum += window[n] * window[n];
+  return sum / window.length;
+}
 
 /**
  * Returns a cached Hann window of the requested size.
@@ -19,10 +87,67 @@ export function hannWindow(size) {
   return window;
 }
 
+/**
+ * Returns a cached window of the requested type and size, scaled to the same
+ * coherent gain (mean value) as the Hann window of that size. A sinusoid then
+ * produces the same FFT peak magnitude with every window, so `pcdThreshold`
+ * keeps its meaning when the window changes. The Hann window is returned
+ * unscaled.
+ * @param {string} type - One of WINDOW_TYPES.
+ * @param {number} size
+ * @param {object} [options]
+ * @param {number} [options.kaiserBeta=8.6] - Shape parameter of the Kaiser window.
+ * @returns {Float32Array}
+ */
+export function getWindow(type, size, { kaiserBeta = 8.6 } = {}) {
+  if (type === 'hann' || !WINDOW_TYPES.includes(type)) return hannWindow(size);
+
+  const key = `${type}|${size}`;
+  if (type === 'kaiser') {
+    const cached = kaiserCache.get(size);
+    if (cached && cached.beta === kaiserBeta) return cached.window;
+  } else if (windowCache.has(key)) {
+    return windowCache.get(key);
+  }
+  const window = new Float32Array(size);
+  if (type === 'kaiser') {
+    fillKaiser(window, kaiserBeta);
+  } else {
+    fillCosineSum(window, COSINE_COEFFICIENTS[type]);
+  }
+
+  const scale = meanOf(hannWindow(size)) / meanOf(window);
+  for (let n = 0; n < size; n++) window[n] *= scale;
+
+  if (type === 'kaiser') {
+    kaiserCache.set(size, { beta: kaiserBeta, window });
+  } else {
+    windowCache.set(key, window);
+  }
+  return window;
+}
+
+/**
+ * Factor that maps the RMS of a signal multiplied by `window` to what the
+ * Hann window of the same size would give for a steady signal, so RMS gates
+ * don't depend on the window's power gain. 1 for Hann.
+ * @param {Float32Array} window - A window returned by `getWindow`.
+ * @returns {number}
+ */
+export function windowRmsScale(window) {
+  let scale = rmsScaleCache.get(window);
+  if (scale === undefined) {
+    scale = Math.sqrt(meanSquareOf(hannWindow(window.length)) / meanSquareOf(window));
+    rmsScaleCache.set(window, scale);
+  }
+  return scale;
+}
+
 /**
  * Clears all cached window functions. Useful when freeing memory
  * or when running in constrained environments.
  */
 export function clearWindowCache() {
   windowCache.clear();
+  kaiserCache.clear();
 }
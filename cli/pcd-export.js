@@ -0,0 +1,412 @@
+#!/usr/bin/env node
+/**
+ * pcd-export: batch PCD analysis of WAV files.
+ *
+ * Runs the same pipeline as the web app (audio/analyzer.js) over PCM WAV
+ * files and writes per-frame PCD, RMS, primary pitch and the PCD's DFT
+ * amplitudes/phases as CSV, JSON or NDJSON (with --pcd-bins, one PCD column
+ * per N-EDO bin). The primary pitch is also measured against the tuner's
+ * temperament, which --scala/--kbm can load from Scala files. A per-file
+ * summary (mean PCD and dominant pitch class) is printed to stderr. With
+ * --midi the detected notes are also written as a Standard MIDI File per
+ * input.
+ *
+ * Usage:
+ *   node cli/pcd-export.js [options] <file.wav|directory>...
+ *
+ * Run with --help for the full option list.
+ */
+import { readFileSync, writeFileSync, statSync, readdirSync, mkdirSync } from 'node:fs';
+import { join, basename, extname } from 'node:path';
+import { parseArgs } from 'node:util';
+import { analyzeSamples, DEFAULT_AUDIO_CONFIG, DEFAULT_TUNER_CONFIG, PCD_METHODS, PCD_SEGMENTS } from '../audio/analyzer.js';
+import { WINDOW_TYPES } from '../audio/windowing.js';
+import { TUNER_ALGORITHMS } from '../audio/pitch-detection.js';
+import { trackNotes } from '../audio/note-tracker.js';
+import { encodeMidiFile, QUANTIZE_GRIDS, DEFAULT_MIDI_OPTIONS } from '../audio/midi-file.js';
+import { binLabels, MIN_BINS, MAX_BINS } from '../audio/edo.js';
+import { parseScala, parseKeyboardMapping, scalaToTemperament, TEMPERAMENTS } from '../audio/temperament.js';
+import { SMOOTHING_MODES } from '../audio/smoothing.js';
+import { KEY_PROFILES, parseKeyProfile } from '../audio/key-detection.js';
+import { recognizeChords } from '../audio/chords.js';
+import { pcdToFrequencyDomain } from '../pcd-dft.js';
+import { decodeWav, mixDown } from './wav.js';
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const FORMATS = ['csv', 'json', 'ndjson'];
+const MIDI_SOURCES = ['primary', 'polyphonic', 'both'];
+
+const kebab = key => key.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+
+// One CLI option per analyzer/tuner config key, e.g. --hop-size, --tuner-min-hz.
+const AUDIO_OPTIONS = Object.keys(DEFAULT_AUDIO_CONFIG).map(key => ({ key, flag: kebab(key) }));
+const TUNER_OPTIONS = Object.keys(DEFAULT_TUNER_CONFIG).map(key => ({ key, flag: 'tuner-' + kebab(key) }));
+
+function usage() {
+  const describe = (opts, defaults) => opts
+    .map(({ key, flag }) => `  --${flag.padEnd(22)} (default ${defaults[key]})`)
+    .join('\n');
+  return `Usage: node cli/pcd-export.js [options] <file.wav|directory>...
+
+Output:
+  -f, --format <csv|json|ndjson>  output format (default csv)
+  -o, --out <dir>                 write one output file per input into <dir>
+                                  (default: all results to stdout)
+  -q, --quiet                     don't print per-file summaries to stderr
+  -h, --help                      show this help
+
+MIDI export:
+  --midi                          also write <name>.mid per input (needs --out)
+  --midi-source <primary|polyphonic|both>
+                                  which detected notes to write (default primary)
+  --tempo <bpm>                   tempo of the MIDI file (default ${DEFAULT_MIDI_OPTIONS.tempo})
+  --quantize <grid>               ${Object.keys(QUANTIZE_GRIDS).join(', ')} (default off)
+  --no-pitch-bend                 don't write cents deviations as pitch bends
+
+Temperament (presets: --tuner-temperament ${Object.keys(TEMPERAMENTS).join('|')}, --tuner-tonic 0-11):
+  --scala <file.scl>              use a Scala scale as the temperament (12 notes,
+                                  or any size with --kbm)
+  --kbm <file.kbm>                Scala keyboard mapping: sets tonic and reference
+
+Analysis options (see DEFAULT_AUDIO_CONFIG):
+${describe(AUDIO_OPTIONS, DEFAULT_AUDIO_CONFIG)}
+
+Tuner options (see DEFAULT_TUNER_CONFIG):
+${describe(TUNER_OPTIONS, DEFAULT_TUNER_CONFIG)}
+`;
+}
+
+function parseValue(flag, raw, fallback) {
+  if (typeof fallback === 'string') return raw;
+  if (typeof fallback === 'boolean') {
+    if (raw === 'true' || raw === '1') return true;
+    if (raw === 'false' || raw === '0') return false;
+    throw new Error(`--${flag} expects true or false, got "${raw}"`);
+  }
+  const value = Number(raw);
+  if (!Number.isFinite(value)) throw new Error(`--${flag} expects a number, got "${raw}"`);
+  return value;
+}
+
+function parseCli(argv) {
+  const options = {
+    format: { type: 'string', short: 'f', default: 'csv' },
+    out: { type: 'string', short: 'o' },
+    quiet: { type: 'boolean', short: 'q', default: false },
+    help: { type: 'boolean', short: 'h', default: false },
+    midi: { type: 'boolean', default: false },
+    'midi-source': { type: 'string', default: 'primary' },
+    tempo: { type: 'string' },
+    quantize: { type: 'string', default: 'off' },
+    'no-pitch-bend': { type: 'boolean', default: false },
+    scala: { type: 'string' },
+    kbm: { type: 'string' },
+  };
+  for (const { flag } of [...AUDIO_OPTIONS, ...TUNER_OPTIONS]) {
+    options[flag] = { type: 'string' };
+  }
+
+  const { values, positionals } = parseArgs({ args: argv, options, allowPositionals: true });
+
+  if (!FORMATS.includes(values.format)) {
+    throw new Error(`--format must be one of ${FORMATS.join(', ')}`);
+  }
+
+  if (values.midi && !values.out) throw new Error('--midi needs --out');
+  if (!MIDI_SOURCES.includes(values['midi-source'])) {
+    throw new Error(`--midi-source must be one of ${MIDI_SOURCES.join(', ')}`);
+  }
+  if (!(values.quantize in QUANTIZE_GRIDS)) {
+    throw new Error(`--quantize must be one of ${Object.keys(QUANTIZE_GRIDS).join(', ')}`);
+  }
+  const midi = {
+    source: values['midi-source'],
+    tempo: values.tempo !== undefined ? parseValue('tempo', values.tempo, 0) : DEFAULT_MIDI_OPTIONS.tempo,
+    quantize: QUANTIZE_GRIDS[values.quantize],
+    pitchBend: !values['no-pitch-bend'],
+  };
+  if (midi.tempo <= 0) throw new Error('--tempo must be positive');
+
+  const config = { tuner: {} };
+  for (const { key, flag } of AUDIO_OPTIONS) {
+    if (values[flag] !== undefined) config[key] = parseValue(flag, values[flag], DEFAULT_AUDIO_CONFIG[key]);
+  }
+  for (const { key, flag } of TUNER_OPTIONS) {
+    if (values[flag] !== undefined) config.tuner[key] = parseValue(flag, values[flag], DEFAULT_TUNER_CONFIG[key]);
+  }
+  if (config.windowType !== undefined && !WINDOW_TYPES.includes(config.windowType)) {
+    throw new Error(`--window-type must be one of ${WINDOW_TYPES.join(', ')}`);
+  }
+  if (config.pcdSegment !== undefined && !PCD_SEGMENTS.includes(config.pcdSegment)) {
+    throw new Error(`--pcd-segment must be one of ${PCD_SEGMENTS.join(', ')}`);
+  }
+  if (config.pcdMethod !== undefined && !PCD_METHODS.includes(config.pcdMethod)) {
+    throw new Error(`--pcd-method must be one of ${PCD_METHODS.join(', ')}`);
+  }
+  if (config.tuner.algorithm !== undefined && !TUNER_ALGORITHMS.includes(config.tuner.algorithm)) {
+    throw new Error(`--tuner-algorithm must be one of ${TUNER_ALGORITHMS.join(', ')}`);
+  }
+  if (config.smoothingMode !== undefined && !SMOOTHING_MODES.includes(config.smoothingMode)) {
+    throw new Error(`--smoothing-mode must be one of ${SMOOTHING_MODES.join(', ')}`);
+  }
+  if (config.keyProfile !== undefined && !(config.keyProfile in KEY_PROFILES)) {
+    const profile = parseKeyProfile(config.keyProfile);
+    if (!profile) {
+      throw new Error(`--key-profile must be one of ${Object.keys(KEY_PROFILES).join(', ')} or 24 comma-separated weights`);
+    }
+    config.keyProfile = profile;
+  }
+  if (config.tuner.temperament !== undefined && !(config.tuner.temperament in TEMPERAMENTS)) {
+    throw new Error(`--tuner-temperament must be one of ${Object.keys(TEMPERAMENTS).join(', ')}`);
+  }
+  if (values.kbm && !values.scala) throw new Error('--kbm needs --scala');
+  if (values.scala) {
+    const scale = parseScala(readFileSync(values.scala, 'utf8'));
+    const kbm = values.kbm ? parseKeyboardMapping(readFileSync(values.kbm, 'utf8')) : null;
+    const tuning = scalaToTemperament(scale, kbm);
+    config.tuner.temperament = tuning.cents;
+    if (kbm) {
+      config.tuner.tonic = tuning.tonic;
+      config.refA4 = tuning.refA4;
+    }
+  }
+
+  // Output columns are labelled per bin, so the count must be exact
+  const bins = config.pcdBins ?? DEFAULT_AUDIO_CONFIG.pcdBins;
+  if (!Number.isInteger(bins) || bins < MIN_BINS || bins > MAX_BINS) {
+    throw new Error(`--pcd-bins must be an integer from ${MIN_BINS} to ${MAX_BINS}`);
+  }
+
+  return { values, inputs: positionals, config, midi, labels: binLabels(bins) };
+}
+
+function collectWavFiles(paths) {
+  const files = [];
+  for (const path of paths) {
+    if (statSync(path).isDirectory()) {
+      const entries = readdirSync(path).sort();
+      files.push(...collectWavFiles(entries.map(name => join(path, name)).filter(p =>
+        statSync(p).isDirectory() || /\.wave?$/i.test(p))));
+    } else {
+      files.push(path);
+    }
+  }
+  return files;
+}
+
+function toRecord(frame) {
+  const { amplitudes, phases } = pcdToFrequencyDomain(Array.from(frame.pcd));
+  const primary = frame.primary;
+  return {
+    time: frame.time,
+    rms: frame.rms,
+    pcd: Array.from(frame.pcd),
+    primary: primary ? {
+      freq: primary.freq,
+      midi: primary.midi,
+      cents: primary.cents,
+      pitchClass: primary.pitchClass,
+      note: NOTE_NAMES[primary.pitchClass],
+      step: primary.step,
+      stepCents: primary.stepCents,
+      tempered: { ...primary.tempered, note: NOTE_NAMES[primary.tempered.pitchClass] },
+      prominenceDb: primary.prominenceDb,
+      confidence: primary.confidence,
+    } : null,
+    notes: frame.notes.map(n => ({ ...n, note: NOTE_NAMES[((n.midi % 12) + 12) % 12] + (Math.floor(n.midi / 12) - 1) })),
+    onset: frame.onset,
+    beat: frame.beat,
+    tempo: frame.tempo,
+    key: frame.key,
+    chord: frame.chord,
+    percussiveRatio: frame.percussiveRatio,
+    segment: frame.segment ? { ...frame.segment, pcd: Array.from(frame.segment.pcd) } : null,
+    dft: { amplitudes, phases },
+  };
+}
+
+function summarize(records, duration, labels, chords) {
+  const bins = labels.length;
+  const meanPcd = new Array(bins).fill(0);
+  let active = 0;
+  for (const { pcd } of records) {
+    const sum = pcd.reduce((a, b) => a + b, 0);
+    if (sum <= 0) continue; // skip silent frames
+    active++;
+    for (let i = 0; i < bins; i++) meanPcd[i] += pcd[i];
+  }
+  if (active > 0) {
+    for (let i = 0; i < bins; i++) meanPcd[i] /= active;
+  }
+
+  let dominant = null;
+  if (active > 0) {
+    dominant = meanPcd.indexOf(Math.max(...meanPcd));
+  }
+
+  const last = records[records.length - 1];
+  const keyed = records.findLast(r => r.key);
+  return {
+    frames: records.length,
+    activeFrames: active,
+    duration,
+    onsets: records.filter(r => r.onset).length,
+    beats: records.filter(r => r.beat).length,
+    bpm: last && last.tempo ? last.tempo.bpm : null,
+    key: keyed ? keyed.key.name : null,
+    chords: chords.length,
+    meanPcd,
+    dominantPitchClass: dominant,
+    dominantNote: dominant === null ? null : labels[dominant],
+  };
+}
+
+function csvHeader(labels) {
+  const ks = Array.from({ length: (labels.length >> 1) + 1 }, (_, k) => k);
+  return [
+    'file', 'time', 'rms',
+    ...labels.map(n => `pcd_${n}`),
+    'primary_freq', 'primary_midi', 'primary_cents', 'primary_pc', 'tempered_cents', 'notes',
+    'onset', 'beat', 'bpm', 'key', 'key_confidence', 'chord', 'chord_confidence', 'percussive_ratio',
+    ...ks.map(k => `amp_k${k}`),
+    ...ks.map(k => `pha_k${k}`),
+  ].join(',');
+}
+
+function csvField(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRow(file, r) {
+  const p = r.primary;
+  return [
+    csvField(file), r.time.toFixed(6), r.rms.toPrecision(6),
+    ...r.pcd.map(v => v.toPrecision(6)),
+    p ? p.freq.toFixed(3) : '', p ? p.midi.toFixed(4) : '', p ? p.cents.toFixed(2) : '', p ? p.pitchClass : '',
+    p ? p.tempered.cents.toFixed(2) : '',
+    r.notes.map(n => n.note).join(' '),
+    r.onset ? r.onset.strength.toPrecision(6) : '', r.beat ? r.beat.index : '', r.tempo ? r.tempo.bpm.toFixed(2) : '',
+    r.key ? r.key.name : '', r.key ? r.key.confidence.toFixed(3) : '',
+    r.chord ? csvField(r.chord.label) : '', r.chord ? r.chord.confidence.toFixed(3) : '',
+    r.percussiveRatio == null ? '' : r.percussiveRatio.toFixed(4),
+    ...r.dft.amplitudes.map(v => v.toPrecision(6)),
+    ...r.dft.phases.map(v => v.toPrecision(6)),
+  ].join(',');
+}
+
+function formatOutput(format, results, labels) {
+  if (format === 'json') {
+    return JSON.stringify(results, null, 2) + '\n';
+  }
+  if (format === 'ndjson') {
+    return results
+      .flatMap(({ file, frames }) => frames.map(r => JSON.stringify({ file, ...r })))
+      .map(line => line + '\n')
+      .join('');
+  }
+  const lines = [csvHeader(labels)];
+  for (const { file, frames } of results) {
+    for (const r of frames) lines.push(csvRow(file, r));
+  }
+  return lines.join('\n') + '\n';
+}
+
+function printSummary(file, summary, labels) {
+  const pcd = summary.meanPcd.map((v, i) => `${labels[i]}=${v.toFixed(3)}`).join(' ');
+  const dominant = summary.dominantNote ?? '—';
+  process.stderr.write(
+    `${file}: ${summary.frames} frames (${summary.activeFrames} active), ${summary.duration.toFixed(2)} s, ` +
+    `dominant ${dominant}, ${summary.onsets} onsets, ` +
+    `tempo ${summary.bpm === null ? '—' : summary.bpm.toFixed(1) + ' BPM'}, key ${summary.key ?? '—'}, ${summary.chords} chord segments\n  mean PCD ${pcd}\n`,
+  );
+}
+
+function encodeNotes(frames, { source, ...options }) {
+  const { primary, polyphonic } = trackNotes(frames);
+  const notes = source === 'both' ? [...primary, ...polyphonic] : (source === 'polyphonic' ? polyphonic : primary);
+  return { count: notes.length, bytes: encodeMidiFile(notes, options) };
+}
+
+function analyzeFile(file, config, labels, midi) {
+  const wav = decodeWav(readFileSync(file));
+  const frames = analyzeSamples(mixDown(wav.channels), wav.sampleRate, config);
+  const records = frames.map(toRecord);
+  const { timeline } = recognizeChords(frames, { ...DEFAULT_AUDIO_CONFIG, ...config });
+  return {
+    result: {
+      file,
+      sampleRate: wav.sampleRate,
+      summary: summarize(records, wav.duration, labels, timeline),
+      chords: timeline,
+      frames: records,
+    },
+    midi: midi ? encodeNotes(frames, midi) : null,
+  };
+}
+
+function main(argv) {
+  let parsed;
+  try {
+    parsed = parseCli(argv);
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${usage()}`);
+    return 2;
+  }
+
+  const { values, inputs, config, midi, labels } = parsed;
+  if (values.help || inputs.length === 0) {
+    (values.help ? process.stdout : process.stderr).write(usage());
+    return values.help ? 0 : 2;
+  }
+
+  let files;
+  try {
+    files = collectWavFiles(inputs);
+  } catch (error) {
+    process.stderr.write(`${error.message}\n`);
+    return 1;
+  }
+
+  if (values.out) mkdirSync(values.out, { recursive: true });
+
+  const results = [];
+  let failures = 0;
+  for (const file of files) {
+    let result, notes;
+    try {
+      ({ result, midi: notes } = analyzeFile(file, config, labels, values.midi && midi));
+    } catch (error) {
+      failures++;
+      process.stderr.write(`${file}: ${error.message}\n`);
+      continue;
+    }
+
+    if (!values.quiet) printSummary(file, result.summary, labels);
+
+    if (notes) {
+      const name = basename(file, extname(file)) + '.mid';
+      writeFileSync(join(values.out, name), notes.bytes);
+      if (!values.quiet) process.stderr.write(`  ${notes.count} notes → ${name}\n`);
+    }
+
+    if (values.out) {
+      const name = basename(file, extname(file)) + '.' + values.format;
+      const payload = values.format === 'json' ? result : [result];
+      const text = values.format === 'json'
+        ? JSON.stringify(payload, null, 2) + '\n'
+        : formatOutput(values.format, payload, labels);
+      writeFileSync(join(values.out, name), text);
+    } else {
+      results.push(result);
+    }
+  }
+
+  if (!values.out && results.length > 0) {
+    process.stdout.write(formatOutput(values.format, results, labels));
+  }
+
+  return failures > 0 ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
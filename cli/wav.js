@@ -0,0 +1,121 @@
+/**
+ * Minimal RIFF/WAVE reader for the CLI tools. Supports integer PCM (8, 16, 24
+ * and 32 bit), IEEE float (32 and 64 bit) and WAVE_FORMAT_EXTENSIBLE wrappers
+ * of both. No external or native dependencies.
+ */
+
+const FORMAT_PCM = 1;
+const FORMAT_FLOAT = 3;
+const FORMAT_EXTENSIBLE = 0xfffe;
+
+function readTag(view, offset) {
+  return String.fromCharCode(
+    view.getUint8(offset),
+    view.getUint8(offset + 1),
+    view.getUint8(offset + 2),
+    view.getUint8(offset + 3),
+  );
+}
+
+function sampleReader(view, format, bitsPerSample) {
+  if (format === FORMAT_FLOAT) {
+    if (bitsPerSample === 32) return offset => view.getFloat32(offset, true);
+    if (bitsPerSample === 64) return offset => view.getFloat64(offset, true);
+  } else if (format === FORMAT_PCM) {
+    switch (bitsPerSample) {
+      case 8: return offset => (view.getUint8(offset) - 128) / 128;
+      case 16: return offset => view.getInt16(offset, true) / 32768;
+      case 24: return offset => {
+        const value = view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getInt8(offset + 2) << 16);
+        return value / 8388608;
+      };
+      case 32: return offset => view.getInt32(offset, true) / 2147483648;
+    }
+  }
+  throw new Error(`Unsupported WAV encoding: format ${format}, ${bitsPerSample} bit`);
+}
+
+/**
+ * Decodes a WAV file into per-channel Float32 samples in [-1, 1].
+ * @param {ArrayBuffer|Uint8Array} data - Raw file contents.
+ * @returns {{sampleRate:number,channels:Float32Array[],length:number,duration:number}}
+ * @throws {Error} If the data is not a supported WAV file.
+ */
+export function decodeWav(data) {
+  const view = data instanceof ArrayBuffer
+    ? new DataView(data)
+    : new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+  if (view.byteLength < 12 || readTag(view, 0) !== 'RIFF' || readTag(view, 8) !== 'WAVE') {
+    throw new Error('Not a RIFF/WAVE file');
+  }
+
+  let fmt = null;
+  let dataOffset = -1;
+  let dataLength = 0;
+  let offset = 12;
+
+  while (offset + 8 <= view.byteLength) {
+    const id = readTag(view, offset);
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+
+    if (id === 'fmt ') {
+      let format = view.getUint16(body, true);
+      const bitsPerSample = view.getUint16(body + 14, true);
+      if (format === FORMAT_EXTENSIBLE && size >= 40) {
+        // The first two bytes of the SubFormat GUID hold the actual format code.
+        format = view.getUint16(body + 24, true);
+      }
+      fmt = {
+        format,
+        numChannels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        blockAlign: view.getUint16(body + 12, true),
+        bitsPerSample,
+      };
+    } else if (id === 'data') {
+      dataOffset = body;
+      // Streams written without a final size report 0 or 0xFFFFFFFF here.
+      dataLength = Math.min(size || Infinity, view.byteLength - body);
+    }
+
+    offset = body + size + (size & 1); // chunks are word-aligned
+  }
+
+  if (!fmt) throw new Error('WAV file has no fmt chunk');
+  if (dataOffset < 0) throw new Error('WAV file has no data chunk');
+
+  const { format, numChannels, sampleRate, blockAlign, bitsPerSample } = fmt;
+  const read = sampleReader(view, format, bitsPerSample);
+  const bytesPerSample = bitsPerSample >> 3;
+  const length = Math.floor(dataLength / blockAlign);
+
+  const channels = [];
+  for (let c = 0; c < numChannels; c++) channels.push(new Float32Array(length));
+
+  for (let i = 0; i < length; i++) {
+    const frameOffset = dataOffset + i * blockAlign;
+    for (let c = 0; c < numChannels; c++) {
+      channels[c][i] = read(frameOffset + c * bytesPerSample);
+    }
+  }
+
+  return { sampleRate, channels, length, duration: length / sampleRate };
+}
+
+/**
+ * Averages all channels into a single mono buffer.
+ * @param {Float32Array[]} channels
+ * @returns {Float32Array}
+ */
+export function mixDown(channels) {
+  if (channels.length === 1) return channels[0];
+  const mono = new Float32Array(channels[0].length);
+  for (const data of channels) {
+    for (let i = 0; i < mono.length; i++) mono[i] += data[i];
+  }
+  const inv = 1 / channels.length;
+  for (let i = 0; i < mono.length; i++) mono[i] *= inv;
+  return mono;
+}
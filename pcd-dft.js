@@ -1,9 +1,10 @@
 /**
  * PCD-DFT: Clean JavaScript functions for PCD ↔ Frequency Domain conversion
  * 
- * This module provides two main functions for working with 12-bin Pitch Class Distribution (PCD) data:
- * - pcdToFrequencyDomain: Convert 12 PCD values to amplitude/phase representation
- * - frequencyDomainToPcd: Convert amplitude/phase back to 12 PCD values
+ * This module provides two main functions for working with N-bin Pitch Class Distribution (PCD) data
+ * (12 bins for the usual pitch classes, or any N-EDO bin count):
+ * - pcdToFrequencyDomain: Convert N PCD values to amplitude/phase representation
+ * - frequencyDomainToPcd: Convert amplitude/phase back to N PCD values
  * 
  * Usage:
  *   import { pcdToFrequencyDomain, frequencyDomainToPcd } from './pcd-dft.js';
@@ -16,18 +17,29 @@
  */
 
 /**
- * Forward DFT: Convert 12 PCD values to amplitude/phase representation
+ * Fourier qualities of the 12-bin coefficients k=1..6 (index k-1), after
+ * Amiot and Yust: a large |f_k| means the PCD is close to dividing the
+ * octave into k equal parts (the chromatic cluster, tritones, augmented
+ * triads, diminished sevenths, the diatonic scale as a stack of fifths, the
+ * whole-tone scale). The phase tells which transposition it resembles.
+ */
+export const FOURIER_QUALITIES = [
+  'chromaticity', 'dyadicity', 'triadicity', 'octatonicity', 'diatonicity', 'whole-tone quality',
+];
+
+/**
+ * Forward DFT: Convert N PCD values to amplitude/phase representation
  * 
- * Takes a 12-element array of PCD (Pitch Class Distribution) values and converts them
+ * Takes an N-element array of PCD (Pitch Class Distribution) values and converts them
  * to frequency domain representation using real FFT. The input is automatically normalized
  * so that the sum equals 1, which is standard for PCD data.
  * 
- * @param {number[]} pcdValues - Array of exactly 12 PCD values (will be normalized to sum=1)
+ * @param {number[]} pcdValues - Array of N >= 2 PCD values (will be normalized to sum=1)
  * @returns {Object} Result object containing:
- *   - amplitudes: Array of 7 amplitude values (k=0..6)
- *   - phases: Array of 7 phase values in radians (k=0..6)
+ *   - amplitudes: Array of floor(N/2)+1 amplitude values (k=0..6 for 12 bins)
+ *   - phases: Array of floor(N/2)+1 phase values in radians
  *   - normalizedInput: The normalized input array (sum=1)
- * @throws {Error} If input is not an array of exactly 12 values
+ * @throws {Error} If input is not an array of at least 2 values
  * 
  * @example
  *   const result = pcdToFrequencyDomain([1,0,0,0,1,0,0,1,0,0,0,0]);
@@ -35,17 +47,17 @@
  */
 export function pcdToFrequencyDomain(pcdValues) {
   // Validate input
-  if (!Array.isArray(pcdValues) || pcdValues.length !== 12) {
-    throw new Error('Input must be an array of exactly 12 values');
+  if (!Array.isArray(pcdValues) || pcdValues.length < 2) {
+    throw new Error('Input must be an array of at least 2 values');
   }
   
   // Normalize input so sum = 1
   const sum = pcdValues.reduce((a, b) => a + b, 0);
   const normalized = sum === 0 ? pcdValues.slice() : pcdValues.map(v => v / sum);
   
-  // Compute rFFT (real FFT for 12 bins -> 7 frequency components k=0..6)
-  const N = 12;
-  const M = 7; // k=0..6
+  // Compute rFFT (real FFT for N bins -> floor(N/2)+1 frequency components)
+  const N = pcdValues.length;
+  const M = (N >> 1) + 1; // k=0..6 for 12 bins
   const amplitudes = new Array(M);
   const phases = new Array(M);
   
@@ -71,16 +83,18 @@ export function pcdToFrequencyDomain(pcdValues) {
 }
 
 /**
- * Inverse DFT: Convert amplitude/phase representation back to 12 PCD values
+ * Inverse DFT: Convert amplitude/phase representation back to N PCD values
  * 
  * Takes amplitude and phase arrays from the frequency domain and reconstructs the original
- * 12-element PCD array using inverse real FFT. This is the inverse operation of 
- * pcdToFrequencyDomain().
+ * N-element PCD array using inverse real FFT. This is the inverse operation of 
+ * pcdToFrequencyDomain(). M coefficients fit both N = 2(M-1) and N = 2M-1, so odd bin
+ * counts must be passed as `size`.
  * 
- * @param {number[]} amplitudes - Array of exactly 7 amplitude values (k=0..6)
- * @param {number[]} phases - Array of exactly 7 phase values in radians (k=0..6)
- * @returns {number[]} Reconstructed 12-element PCD array
- * @throws {Error} If amplitudes or phases arrays are not exactly 7 elements
+ * @param {number[]} amplitudes - Array of M amplitude values (k=0..M-1)
+ * @param {number[]} phases - Array of M phase values in radians (k=0..M-1)
+ * @param {number} [size=2*(M-1)] - Number of PCD bins N
+ * @returns {number[]} Reconstructed N-element PCD array
+ * @throws {Error} If the arrays differ in length, have fewer than 2 elements, or don't fit `size`
  * 
  * @example
  *   const amplitudes = [0.33333, 0.28868, 0, 0.28868, 0, 0.28868, 0];
@@ -88,29 +102,33 @@ export function pcdToFrequencyDomain(pcdValues) {
  *   const reconstructed = frequencyDomainToPcd(amplitudes, phases);
  *   // Returns approximately [1,0,0,0,1,0,0,1,0,0,0,0] (normalized)
  */
-export function frequencyDomainToPcd(amplitudes, phases) {
+export function frequencyDomainToPcd(amplitudes, phases, size = 2 * (amplitudes.length - 1)) {
   // Validate inputs
-  if (!Array.isArray(amplitudes) || amplitudes.length !== 7) {
-    throw new Error('Amplitudes must be an array of exactly 7 values');
+  if (!Array.isArray(amplitudes) || amplitudes.length < 2) {
+    throw new Error('Amplitudes must be an array of at least 2 values');
   }
-  if (!Array.isArray(phases) || phases.length !== 7) {
-    throw new Error('Phases must be an array of exactly 7 values');
+  if (!Array.isArray(phases) || phases.length !== amplitudes.length) {
+    throw new Error('Phases must be an array with one value per amplitude');
   }
   
-  const N = 12;
-  const M = 7;
+  const M = amplitudes.length;
+  const N = size;
+  if ((N >> 1) + 1 !== M) {
+    throw new Error(`${M} coefficients cannot describe ${N} bins`);
+  }
   
   // Build full Hermitian spectrum for iDFT
   const spectrum = new Array(N).fill(null).map(() => ({ re: 0, im: 0 }));
   
-  // Fill positive frequencies k=0..6
+  // Fill positive frequencies k=0..M-1
   for (let k = 0; k < M; k++) {
     spectrum[k].re = amplitudes[k] * Math.cos(phases[k]);
     spectrum[k].im = amplitudes[k] * Math.sin(phases[k]);
   }
   
-  // Fill negative frequencies (complex conjugates) k=7..11
-  for (let k = 1; k < M - 1; k++) {
+  // Fill negative frequencies (complex conjugates) k=M..N-1; for even N the
+  // Nyquist term k=N/2 is its own mirror
+  for (let k = 1; N - k >= M; k++) {
     spectrum[N - k].re = spectrum[k].re;   // Real part unchanged
     spectrum[N - k].im = -spectrum[k].im;  // Imaginary part negated
   }
@@ -132,9 +150,9 @@ export function frequencyDomainToPcd(amplitudes, phases) {
 }
 
 /**
- * Utility function to normalize a PCD array so its sum equals 1
+ * Utility function to normalize an N-bin PCD array so its sum equals 1
  * 
- * @param {number[]} arr - Array to normalize
+ * @param {number[]} arr - Array of N PCD values to normalize
  * @returns {number[]} Normalized array where sum = 1
  */
 export function normalize12(arr) {
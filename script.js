@@ -1,22 +1,47 @@
 
-import { pcdToFrequencyDomain } from './pcd-dft.js';
+import { pcdToFrequencyDomain, FOURIER_QUALITIES } from './pcd-dft.js';
 import { AudioProcessor, DEFAULT_AUDIO_CONFIG, DEFAULT_TUNER_CONFIG } from './audio/processor.js';
+import { QUANTIZE_GRIDS, DEFAULT_MIDI_OPTIONS } from './audio/midi-file.js';
+import { EDO_PRESETS, binLabels, binPitchClass } from './audio/edo.js';
+import { parseScala, parseKeyboardMapping, scalaToTemperament } from './audio/temperament.js';
+import { Smoother } from './audio/smoothing.js';
+import { parseKeyProfile } from './audio/key-detection.js';
+import { chordLabel } from './audio/chords.js';
   
   // =========================
   // ====== CONFIG HERE ======
   // =========================
   const audioDefaults = { ...DEFAULT_AUDIO_CONFIG };
   let WINDOW_SIZE = audioDefaults.windowSize;
+  let WINDOW_TYPE = audioDefaults.windowType;
+  let KAISER_BETA = audioDefaults.kaiserBeta;
   let HOP_SIZE    = audioDefaults.hopSize;
   let MIN_HZ      = audioDefaults.minHz;
   let MAX_HZ      = audioDefaults.maxHz;
   let REF_A4      = audioDefaults.refA4;
-  let SMOOTHING   = audioDefaults.smoothing;
+  let AUTO_TUNE   = audioDefaults.autoTune;        // estimate the reference from the input
+  let SMOOTHING   = {                               // PCD smoothing (see SMOOTHING_MODES)
+    smoothingMode: audioDefaults.smoothingMode,
+    smoothingAttackMs: audioDefaults.smoothingAttackMs,
+    smoothingReleaseMs: audioDefaults.smoothingReleaseMs,
+    smoothingHoldMs: audioDefaults.smoothingHoldMs,
+  };
   
   // PCD filtering parameters
   let PCD_MIN_RMS = audioDefaults.pcdMinRms;      // minimum RMS for PCD calculation
   let PCD_THRESHOLD = audioDefaults.pcdThreshold;    // minimum magnitude to include in PCD
   let PCD_NORMALIZE = audioDefaults.pcdNormalize;      // power scaling for PCD normalization
+  let PCD_METHOD = audioDefaults.pcdMethod;            // PCD engine (see PCD_METHODS)
+  let PCD_BINS   = audioDefaults.pcdBins;              // pitch-class bins per octave (N-EDO)
+  let HPCP_HARMONICS = audioDefaults.hpcpHarmonics;    // harmonics per peak in HPCP mode
+  let HPSS        = audioDefaults.hpss;             // harmonic/percussive separation before the PCD
+  let ONSET_THRESHOLD = audioDefaults.onsetThreshold;  // flux over its recent mean for an onset
+  let BEATS_PER_BAR = audioDefaults.beatsPerBar;
+  let PCD_SEGMENT = audioDefaults.pcdSegment;          // show per-beat/bar mean PCD (see PCD_SEGMENTS)
+  let KEY_PROFILE = audioDefaults.keyProfile;          // KEY_PROFILES key or custom { major, minor }
+  let KEY_WINDOW  = audioDefaults.keyWindowSeconds;    // seconds of PCD behind the key estimate
+  let CHORD_HOLD  = audioDefaults.chordHoldSeconds;    // expected chord length for the chord HMM
+  const CHORD_HISTORY = 6;                             // chord changes listed after the current chord
 
   const RING = {
     innerRadiusRatio: 0.38,
@@ -26,7 +51,35 @@ import { AudioProcessor, DEFAULT_AUDIO_CONFIG, DEFAULT_TUNER_CONFIG } from './au
     baseRotation: -Math.PI/2,  // C at 12 o’clock
   };
 
-  // Even-hue color palette (equal S/L; 30° steps)
+  // Per-note ticks on the ring for polyphonic detection
+  const NOTE_TICKS = {
+    enabled: true,
+    color: '#ffaa00',
+    width: 2,
+    maxLengthRatio: 0.14,  // tick length at salience 1, relative to ring radius
+  };
+
+  // Ring flash on detected beats
+  const BEAT_PULSE = {
+    enabled: true,
+    color: '#ff5577',
+    width: 6,
+    decayMs: 180,          // fade-out time constant
+    beatStrength: 0.6,     // opacity of ordinary beats; downbeats flash fully
+  };
+
+  // Strobe tuner view: one band row per harmonic of the detected note. Each
+  // row drifts by one stripe pair per cycle of difference between the signal
+  // (at that harmonic) and the target, so flat moves left and sharp right.
+  const STROBE = {
+    harmonics: [1, 2, 4, 8],
+    stripePx: 24,          // width of one light or dark stripe
+    color: '#00aaff',
+    inTuneCents: 1,        // the note name turns green within this deviation
+    inTuneColor: '#2ecc71',
+  };
+
+  // Even-hue color palette (equal S/L; one hue step per bin, 30° at 12 bins)
   // Different note naming conventions
   const NOTE_LABELS = {
     sharps: ['C','C#','D','D#','E','F','F#','G','G#','A','A#','B'],
@@ -34,9 +87,34 @@ import { AudioProcessor, DEFAULT_AUDIO_CONFIG, DEFAULT_TUNER_CONFIG } from './au
     mixed:  ['C','C#/Db','D','D#/Eb','E','F','F#/Gb','G','G#/Ab','A','A#/Bb','B']
   };
   let currentNoteLabels = NOTE_LABELS.sharps; // default
+  // Transposing instruments: labels show the written pitch, `semitones` above
+  // concert pitch. Analysis, MIDI export and the tonic stay in concert pitch.
+  const TRANSPOSITIONS = [
+    { name: 'C',        semitones: 0,   label: 'C (concert pitch)' },
+    { name: 'B♭',       semitones: 2,   label: 'B♭ (clarinet, trumpet, soprano sax)' },
+    { name: 'B♭ +8va',  semitones: 14,  label: 'B♭ + octave (tenor sax, bass clarinet)' },
+    { name: 'E♭',       semitones: 9,   label: 'E♭ (alto sax, alto clarinet)' },
+    { name: 'E♭ +8va',  semitones: 21,  label: 'E♭ + octave (baritone sax)' },
+    { name: 'F',        semitones: 7,   label: 'F (horn, English horn)' },
+    { name: 'G',        semitones: 5,   label: 'G (alto flute)' },
+    { name: '+8va',     semitones: 12,  label: 'Octave up (guitar, tenor voice)' },
+    { name: '−8va',     semitones: -12, label: 'Octave down (piccolo, glockenspiel)' },
+  ];
+  let TRANSPOSE = 0;                     // semitones from concert to written pitch
+  let writtenNoteLabels = currentNoteLabels; // currentNoteLabels indexed by concert pitch class
+  let binNoteLabels = binLabels(PCD_BINS, currentNoteLabels); // ring labels, one per bin
+  function updateNoteLabels() {
+    writtenNoteLabels = currentNoteLabels.map((_, pc) => currentNoteLabels[(((pc + TRANSPOSE) % 12) + 12) % 12]);
+    binNoteLabels = binLabels(PCD_BINS, writtenNoteLabels);
+  }
+  // Written name with octave number of a concert MIDI note
+  function writtenNoteName(midi) {
+    const written = midi + TRANSPOSE;
+    return currentNoteLabels[((written % 12) + 12) % 12] + (Math.floor(written / 12) - 1);
+  }
   const IS_BLACK    = [false,true,false,true,false,false,true,false,true,false,true,false]; // C#,D,D#,E,F,F#,G,G#,A,A#,B,C
   const COLOR = { startHue: 0, sat: 80, light: 55 };
-  const PC_HUE = i => (COLOR.startHue + i * 30) % 360;
+  const PC_HUE = i => (COLOR.startHue + i * 360 / PCD_BINS) % 360;
   const SLOT_BG_ALPHA = 0.15;
 
   // Tuning needle defaults (some are user-adjustable below)
@@ -48,22 +126,37 @@ import { AudioProcessor, DEFAULT_AUDIO_CONFIG, DEFAULT_TUNER_CONFIG } from './au
     tipRadiusRatio: 0.98,
     tailRadiusRatio: 0.20
   };
+  // MIDI export options (see DEFAULT_MIDI_OPTIONS)
+  const MIDI = { ...DEFAULT_MIDI_OPTIONS, source: 'primary' };
   let audioProcessor;
   // =========================
 
   // ===== DOM / Canvas =====
   const startBtn = document.getElementById('start');
   const stopBtn  = document.getElementById('stop');
+  const loadFileBtn = document.getElementById('loadFile');
+  const fileModeSel = document.getElementById('fileMode');
+  const fileInput   = document.getElementById('fileInput');
   const resetRot = document.getElementById('resetRot');
   const statusEl = document.getElementById('status');
   const pcdText  = document.getElementById('pcdText');
+  const keyText  = document.getElementById('keyText');
+  const chordText = document.getElementById('chordText');
   const tuneEl   = document.getElementById('tuneReadout');
   const canvas   = document.getElementById('ring');
   const ctx      = canvas.getContext('2d', { alpha: true });
   
-  // DFT display elements (now in footer)
-  const dftMagnitudes = document.getElementById('dft-magnitudes');
-  const dftPhases = document.getElementById('dft-phases');
+  // DFT qualities panel (Real-time Data section)
+  const dftCanvas = document.getElementById('dftPanel');
+  const dftCtx    = dftCanvas.getContext('2d', { alpha: true });
+  const DFT_PANEL = {
+    coefficients: 6,       // k=1..6, the Fourier qualities of 12 bins
+    history: 150,          // frames kept for the sparklines
+    radarHeight: 190,      // radar and dials; the sparklines fill the rest
+    textColor: '#888888',
+  };
+  const DFT_HUE = k => (k - 1) * 60;
+  const dftHistory = [];   // { amplitudes, phases } per frame, oldest first
   
   // 3D visualization elements
   const cubeCanvas = document.getElementById('cubeCanvas');
@@ -71,23 +164,54 @@ import { AudioProcessor, DEFAULT_AUDIO_CONFIG, DEFAULT_TUNER_CONFIG } from './au
   const fullscreen3DBtn = document.getElementById('fullscreen3D');
   const cubeContainer = document.getElementById('cube-container');
   const show3DData = document.getElementById('show3DData');
+  const torusMajorSel  = document.getElementById('torusMajor');
+  const torusMinorSel  = document.getElementById('torusMinor');
+  const torusRadiusSel = document.getElementById('torusRadius');
   
 
 
   // Settings controls
-  const reactRange = document.getElementById('reactRange');
-  const reactVal   = document.getElementById('reactVal');
+  const needleSmoothRange = document.getElementById('needleSmoothRange');
+  const needleSmoothVal   = document.getElementById('needleSmoothVal');
+  const needleSmoothMode  = document.getElementById('needleSmoothMode');
   const promRange  = document.getElementById('promRange');
   const promVal    = document.getElementById('promVal');
+  const tunerAlgorithmSel = document.getElementById('tunerAlgorithm');
+  const confRange  = document.getElementById('confRange');
+  const confVal    = document.getElementById('confVal');
   const rmsRange   = document.getElementById('rmsRange');
   const rmsVal     = document.getElementById('rmsVal');
   const refA4Input = document.getElementById('refA4Input');
+  const temperamentSel = document.getElementById('temperament');
+  const tonicSel       = document.getElementById('tonic');
+  const temperamentCentsInput = document.getElementById('temperamentCents');
+  const keyProfileSel   = document.getElementById('keyProfile');
+  const keyProfileInput = document.getElementById('keyProfileCustom');
+  const keyProfileVal   = document.getElementById('keyProfileVal');
+  const keyWindowRange  = document.getElementById('keyWindowRange');
+  const keyWindowVal    = document.getElementById('keyWindowVal');
+  const chordHoldRange  = document.getElementById('chordHoldRange');
+  const chordHoldVal    = document.getElementById('chordHoldVal');
+  const loadScalaBtn   = document.getElementById('loadScala');
+  const scalaInput     = document.getElementById('scalaInput');
+  const scalaVal       = document.getElementById('scalaVal');
+  const autoTuneSel = document.getElementById('autoTune');
+  const autoTuneLockBtn = document.getElementById('autoTuneLock');
+  const autoTuneVal = document.getElementById('autoTuneVal');
   const windowRange = document.getElementById('windowRange');
   const windowVal   = document.getElementById('windowVal');
+  const windowTypeSel = document.getElementById('windowType');
+  const kaiserBetaRange = document.getElementById('kaiserBetaRange');
+  const kaiserBetaVal   = document.getElementById('kaiserBetaVal');
   const hopRange    = document.getElementById('hopRange');
   const hopVal      = document.getElementById('hopVal');
-  const smoothRange = document.getElementById('smoothRange');
-  const smoothVal   = document.getElementById('smoothVal');
+  const smoothModeSel = document.getElementById('smoothMode');
+  const attackRange = document.getElementById('attackRange');
+  const attackVal   = document.getElementById('attackVal');
+  const releaseRange = document.getElementById('releaseRange');
+  const releaseVal  = document.getElementById('releaseVal');
+  const holdRange   = document.getElementById('holdRange');
+  const holdVal     = document.getElementById('holdVal');
   const minHzRange  = document.getElementById('minHzRange');
   const minHzVal    = document.getElementById('minHzVal');
   const maxHzRange  = document.getElementById('maxHzRange');
@@ -97,27 +221,171 @@ import { AudioProcessor, DEFAULT_AUDIO_CONFIG, DEFAULT_TUNER_CONFIG } from './au
   const tunerMaxRange = document.getElementById('tunerMaxRange');
   const tunerMaxVal   = document.getElementById('tunerMaxVal');
   const noteNames     = document.getElementById('noteNames');
+  const transposeSel  = document.getElementById('transpose');
+  const viewModeSel   = document.getElementById('viewMode');
+  const transposeBadge = document.getElementById('transposeBadge');
+  const noteTicksSel  = document.getElementById('noteTicks');
+  const maxNotesRange = document.getElementById('maxNotesRange');
+  const maxNotesVal   = document.getElementById('maxNotesVal');
+  const onsetRange    = document.getElementById('onsetRange');
+  const onsetVal      = document.getElementById('onsetVal');
+  const beatsPerBarRange = document.getElementById('beatsPerBarRange');
+  const beatsPerBarVal   = document.getElementById('beatsPerBarVal');
+  const pcdSegmentSel = document.getElementById('pcdSegment');
+  const beatPulseSel  = document.getElementById('beatPulse');
+  const midiSourceSel  = document.getElementById('midiSource');
+  const midiTempoRange = document.getElementById('midiTempoRange');
+  const midiTempoVal   = document.getElementById('midiTempoVal');
+  const midiQuantizeSel = document.getElementById('midiQuantize');
+  const midiPitchBendSel = document.getElementById('midiPitchBend');
+  const exportMidiBtn  = document.getElementById('exportMidi');
+  const midiNoteCount  = document.getElementById('midiNoteCount');
   const pcdRmsRange   = document.getElementById('pcdRmsRange');
   const pcdRmsVal     = document.getElementById('pcdRmsVal');
   const pcdThreshRange = document.getElementById('pcdThreshRange');
   const pcdThreshVal   = document.getElementById('pcdThreshVal');
   const pcdNormRange   = document.getElementById('pcdNormRange');
   const pcdNormVal     = document.getElementById('pcdNormVal');
+  const pcdMethodSel   = document.getElementById('pcdMethod');
+  const pcdBinsSel     = document.getElementById('pcdBins');
+  const hpcpHarmRange  = document.getElementById('hpcpHarmRange');
+  const hpcpHarmVal    = document.getElementById('hpcpHarmVal');
+  const hpssSel        = document.getElementById('hpss');
+  const inputDeviceSel = document.getElementById('inputDevice');
+  const channelModeSel = document.getElementById('channelMode');
+
+  // Input selection is remembered across reloads
+  const INPUT_STORAGE_KEY = 'mobilePCD.input';
+  function loadInputPrefs() {
+    try {
+      return JSON.parse(localStorage.getItem(INPUT_STORAGE_KEY)) || {};
+    } catch {
+      return {};
+    }
+  }
+  function saveInputPrefs(prefs) {
+    try {
+      localStorage.setItem(INPUT_STORAGE_KEY, JSON.stringify(prefs));
+    } catch {}
+  }
+  const inputPrefs = { deviceId: null, channelMode: 'mono', ...loadInputPrefs() };
 
   // Note naming convention change
   noteNames.addEventListener('change', () => {
     const convention = noteNames.value;
     currentNoteLabels = NOTE_LABELS[convention];
+    updateNoteLabels();
+    fillTonicOptions();
     // Redraw immediately to show new labels
     if (window.currentPCD) {
       drawRing(window.currentPCD);
     }
   });
 
-  reactRange.addEventListener('input', () => {
-    TUNER.reactivity = parseFloat(reactRange.value);
-    audioProcessor.updateTuner({ reactivity: TUNER.reactivity });
-    reactVal.textContent = TUNER.reactivity.toFixed(2);
+  for (const { semitones, label } of TRANSPOSITIONS) {
+    transposeSel.add(new Option(label, String(semitones)));
+  }
+  transposeSel.addEventListener('change', () => {
+    TRANSPOSE = parseInt(transposeSel.value, 10);
+    const transposition = TRANSPOSITIONS.find(t => t.semitones === TRANSPOSE);
+    // Kept in the header so a transposed display is never mistaken for concert pitch
+    transposeBadge.hidden = TRANSPOSE === 0;
+    transposeBadge.textContent = `${transposition.name} instrument (written ${TRANSPOSE > 0 ? '+' : ''}${TRANSPOSE})`;
+    updateNoteLabels();
+    if (torusContainer3D) update3DVisualization();
+    if (window.currentPCD) {
+      drawRing(window.currentPCD);
+    }
+  });
+
+  viewModeSel.addEventListener('change', () => {
+    setView(viewModeSel.value);
+  });
+
+  noteTicksSel.addEventListener('change', () => {
+    NOTE_TICKS.enabled = noteTicksSel.value === 'on';
+    if (window.currentPCD) {
+      drawRing(window.currentPCD);
+    }
+  });
+  maxNotesRange.addEventListener('input', () => {
+    audioProcessor.updateConfig({ maxNotes: parseInt(maxNotesRange.value, 10) });
+    maxNotesVal.textContent = audioProcessor.config.maxNotes.toString();
+  });
+
+  // Rhythm
+  onsetRange.addEventListener('input', () => {
+    audioProcessor.updateConfig({ onsetThreshold: parseFloat(onsetRange.value) });
+    ONSET_THRESHOLD = audioProcessor.config.onsetThreshold;
+    onsetVal.textContent = ONSET_THRESHOLD.toFixed(1) + '×';
+  });
+  beatsPerBarRange.addEventListener('input', () => {
+    audioProcessor.updateConfig({ beatsPerBar: parseInt(beatsPerBarRange.value, 10) });
+    BEATS_PER_BAR = audioProcessor.config.beatsPerBar;
+    beatsPerBarVal.textContent = BEATS_PER_BAR.toString();
+  });
+  pcdSegmentSel.addEventListener('change', () => {
+    PCD_SEGMENT = pcdSegmentSel.value;
+    audioProcessor.updateConfig({ pcdSegment: PCD_SEGMENT, pcdSegmentReset: PCD_SEGMENT !== 'off' });
+  });
+  beatPulseSel.addEventListener('change', () => {
+    BEAT_PULSE.enabled = beatPulseSel.value === 'on';
+  });
+
+  // MIDI export
+  for (const label of Object.keys(QUANTIZE_GRIDS)) {
+    midiQuantizeSel.add(new Option(label === 'off' ? 'Off' : label, label));
+  }
+  function updateMidiNoteCount() {
+    const count = MIDI.source === 'both'
+      ? audioProcessor.getNotes().length + audioProcessor.getNotes({ source: 'polyphonic' }).length
+      : audioProcessor.getNotes({ source: MIDI.source }).length;
+    midiNoteCount.textContent = `${count} note${count === 1 ? '' : 's'}`;
+    exportMidiBtn.disabled = count === 0;
+  }
+  midiSourceSel.addEventListener('change', () => {
+    MIDI.source = midiSourceSel.value;
+    updateMidiNoteCount();
+  });
+  midiTempoRange.addEventListener('input', () => {
+    MIDI.tempo = parseInt(midiTempoRange.value, 10);
+    midiTempoVal.textContent = MIDI.tempo + ' BPM';
+  });
+  midiQuantizeSel.addEventListener('change', () => {
+    MIDI.quantize = QUANTIZE_GRIDS[midiQuantizeSel.value];
+  });
+  midiPitchBendSel.addEventListener('change', () => {
+    MIDI.pitchBend = midiPitchBendSel.value === 'on';
+  });
+  exportMidiBtn.addEventListener('click', () => {
+    const bytes = audioProcessor.exportMidi(MIDI);
+    const url = URL.createObjectURL(new Blob([bytes], { type: 'audio/midi' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `mobilePCD-${new Date().toISOString().replace(/[:.]/g, '-')}.mid`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  });
+
+  needleSmoothRange.addEventListener('input', () => {
+    const ms = parseFloat(needleSmoothRange.value);
+    audioProcessor.updateTuner({ smoothingAttackMs: ms, smoothingReleaseMs: ms });
+    TUNER.smoothingAttackMs = audioProcessor.tunerConfig.smoothingAttackMs;
+    TUNER.smoothingReleaseMs = audioProcessor.tunerConfig.smoothingReleaseMs;
+    needleSmoothVal.textContent = `${TUNER.smoothingAttackMs} ms`;
+  });
+  needleSmoothMode.addEventListener('change', () => {
+    audioProcessor.updateTuner({ smoothingMode: needleSmoothMode.value });
+    TUNER.smoothingMode = audioProcessor.tunerConfig.smoothingMode;
+  });
+  tunerAlgorithmSel.addEventListener('change', () => {
+    TUNER.algorithm = tunerAlgorithmSel.value;
+    audioProcessor.updateTuner({ algorithm: TUNER.algorithm });
+  });
+  confRange.addEventListener('input', () => {
+    TUNER.minConfidence = parseFloat(confRange.value);
+    audioProcessor.updateTuner({ minConfidence: TUNER.minConfidence });
+    confVal.textContent = TUNER.minConfidence.toFixed(2);
   });
   promRange.addEventListener('input', () => {
     TUNER.minProminence = parseFloat(promRange.value);
@@ -137,6 +405,134 @@ import { AudioProcessor, DEFAULT_AUDIO_CONFIG, DEFAULT_TUNER_CONFIG } from './au
       REF_A4 = audioProcessor.config.refA4;
     }
   });
+
+  // Temperament: presets by name, custom tables as 12 cents values
+  function fillTonicOptions() {
+    const selected = tonicSel.value;
+    tonicSel.replaceChildren(...currentNoteLabels.map((name, pc) => new Option(name, String(pc))));
+    tonicSel.value = selected || String(TUNER.tonic);
+  }
+  function applyTemperament(temperament, tonic = TUNER.tonic) {
+    audioProcessor.updateTuner({ temperament, tonic });
+    TUNER.temperament = audioProcessor.tunerConfig.temperament;
+    TUNER.tonic = audioProcessor.tunerConfig.tonic;
+    const custom = Array.isArray(TUNER.temperament);
+    temperamentSel.value = custom ? 'custom' : TUNER.temperament;
+    tonicSel.value = String(TUNER.tonic);
+    if (custom) temperamentCentsInput.value = TUNER.temperament.map(c => +c.toFixed(3)).join(', ');
+  }
+  temperamentSel.addEventListener('change', () => {
+    if (temperamentSel.value === 'custom') {
+      temperamentCentsInput.dispatchEvent(new Event('change'));
+    } else {
+      applyTemperament(temperamentSel.value);
+    }
+  });
+  tonicSel.addEventListener('change', () => {
+    applyTemperament(TUNER.temperament, parseInt(tonicSel.value, 10));
+  });
+  temperamentCentsInput.addEventListener('change', () => {
+    const cents = temperamentCentsInput.value.split(/[\s,;]+/).filter(Boolean).map(Number);
+    if (cents.length === 12 && cents.every(Number.isFinite)) {
+      scalaVal.textContent = '';
+      applyTemperament(cents);
+    } else {
+      scalaVal.textContent = 'Enter 12 cents values';
+      applyTemperament(TUNER.temperament); // restore the selection
+    }
+  });
+  loadScalaBtn.addEventListener('click', () => scalaInput.click(), { passive: true });
+
+  function applyKeyProfile(profile) {
+    audioProcessor.updateConfig({ keyProfile: profile });
+    KEY_PROFILE = audioProcessor.config.keyProfile;
+    const custom = typeof KEY_PROFILE !== 'string';
+    keyProfileSel.value = custom ? 'custom' : KEY_PROFILE;
+    if (custom) keyProfileInput.value = [...KEY_PROFILE.major, ...KEY_PROFILE.minor].join(', ');
+  }
+  keyProfileSel.addEventListener('change', () => {
+    if (keyProfileSel.value === 'custom') {
+      keyProfileInput.dispatchEvent(new Event('change'));
+    } else {
+      applyKeyProfile(keyProfileSel.value);
+    }
+  });
+  keyProfileInput.addEventListener('change', () => {
+    const profile = parseKeyProfile(keyProfileInput.value);
+    if (profile) {
+      keyProfileVal.textContent = '';
+      applyKeyProfile(profile);
+    } else {
+      keyProfileVal.textContent = 'Enter 24 non-negative weights';
+      applyKeyProfile(KEY_PROFILE); // restore the selection
+    }
+  });
+  keyWindowRange.addEventListener('input', () => {
+    KEY_WINDOW = parseFloat(keyWindowRange.value);
+    audioProcessor.updateConfig({ keyWindowSeconds: KEY_WINDOW });
+    KEY_WINDOW = audioProcessor.config.keyWindowSeconds;
+    keyWindowVal.textContent = `${KEY_WINDOW} s`;
+  });
+
+  chordHoldRange.addEventListener('input', () => {
+    CHORD_HOLD = parseFloat(chordHoldRange.value);
+    audioProcessor.updateConfig({ chordHoldSeconds: CHORD_HOLD });
+    CHORD_HOLD = audioProcessor.config.chordHoldSeconds;
+    chordHoldVal.textContent = `${CHORD_HOLD.toFixed(1)} s`;
+  });
+
+  // Current chord and the latest changes, named in the display's note labels
+  function formatChords(chord) {
+    const name = c => chordLabel(c.root, c.type, c.bass, writtenNoteLabels);
+    const current = chord ? `${name(chord)} ${chord.confidence.toFixed(2)}` : '—';
+    const history = audioProcessor.getChordTimeline().slice(-CHORD_HISTORY).map(name);
+    return `Chord: ${current}` + (history.length ? `  |  ${history.join(' → ')}` : '');
+  }
+
+  // Top keys of the latest estimate, named in the display's note labels
+  function formatKeys(key) {
+    if (!key) return 'Key: —';
+    return 'Key: ' + key.candidates
+      .map(k => `${writtenNoteLabels[k.tonic]} ${k.mode} ${k.correlation.toFixed(2)}`)
+      .join('  ·  ');
+  }
+  scalaInput.addEventListener('change', async () => {
+    const files = Array.from(scalaInput.files || []);
+    scalaInput.value = ''; // allow re-selecting the same files
+    const sclFile = files.find(f => /\.scl$/i.test(f.name));
+    const kbmFile = files.find(f => /\.kbm$/i.test(f.name));
+    if (!sclFile) {
+      scalaVal.textContent = 'Choose a .scl file (and optionally a .kbm)';
+      return;
+    }
+    try {
+      const scale = parseScala(await sclFile.text());
+      const kbm = kbmFile ? parseKeyboardMapping(await kbmFile.text()) : null;
+      const tuning = scalaToTemperament(scale, kbm);
+      if (tuning.refA4 !== null) {
+        audioProcessor.updateConfig({ refA4: tuning.refA4 });
+        REF_A4 = audioProcessor.config.refA4;
+        refA4Input.value = REF_A4.toFixed(1);
+      }
+      applyTemperament(tuning.cents, tuning.tonic);
+      scalaVal.textContent = tuning.name || sclFile.name;
+    } catch (error) {
+      scalaVal.textContent = error.message;
+    }
+  });
+
+  autoTuneSel.addEventListener('change', () => {
+    AUTO_TUNE = autoTuneSel.value === 'on';
+    audioProcessor.updateConfig({ autoTune: AUTO_TUNE, autoTuneLock: false });
+    autoTuneLockBtn.disabled = !AUTO_TUNE;
+    autoTuneLockBtn.textContent = 'Lock';
+    autoTuneVal.textContent = '—';
+  });
+  autoTuneLockBtn.addEventListener('click', () => {
+    const locked = !audioProcessor.config.autoTuneLock;
+    audioProcessor.updateConfig({ autoTuneLock: locked });
+    autoTuneLockBtn.textContent = locked ? 'Unlock' : 'Lock';
+  });
   windowRange.addEventListener('input', () => {
     const exp = parseInt(windowRange.value);
     WINDOW_SIZE = Math.pow(2, exp);
@@ -144,6 +540,17 @@ import { AudioProcessor, DEFAULT_AUDIO_CONFIG, DEFAULT_TUNER_CONFIG } from './au
     WINDOW_SIZE = audioProcessor.config.windowSize;
     windowVal.textContent = WINDOW_SIZE.toString();
   });
+  windowTypeSel.addEventListener('change', () => {
+    WINDOW_TYPE = windowTypeSel.value;
+    audioProcessor.updateConfig({ windowType: WINDOW_TYPE });
+    WINDOW_TYPE = audioProcessor.config.windowType;
+  });
+  kaiserBetaRange.addEventListener('input', () => {
+    KAISER_BETA = parseFloat(kaiserBetaRange.value);
+    audioProcessor.updateConfig({ kaiserBeta: KAISER_BETA });
+    KAISER_BETA = audioProcessor.config.kaiserBeta;
+    kaiserBetaVal.textContent = KAISER_BETA.toFixed(1);
+  });
   hopRange.addEventListener('input', () => {
     const exp = parseInt(hopRange.value);
     HOP_SIZE = Math.pow(2, exp);
@@ -151,11 +558,26 @@ import { AudioProcessor, DEFAULT_AUDIO_CONFIG, DEFAULT_TUNER_CONFIG } from './au
     HOP_SIZE = audioProcessor.config.hopSize;
     hopVal.textContent = HOP_SIZE.toString();
   });
-  smoothRange.addEventListener('input', () => {
-    SMOOTHING = parseFloat(smoothRange.value);
-    audioProcessor.updateConfig({ smoothing: SMOOTHING });
-    SMOOTHING = audioProcessor.config.smoothing;
-    smoothVal.textContent = SMOOTHING.toFixed(2);
+  // PCD smoothing: every control writes its key, then all four are read back
+  function updateSmoothing(updates){
+    audioProcessor.updateConfig(updates);
+    const cfg = audioProcessor.config;
+    for (const key of Object.keys(SMOOTHING)) SMOOTHING[key] = cfg[key];
+    attackVal.textContent = `${SMOOTHING.smoothingAttackMs} ms`;
+    releaseVal.textContent = `${SMOOTHING.smoothingReleaseMs} ms`;
+    holdVal.textContent = `${SMOOTHING.smoothingHoldMs} ms`;
+  }
+  smoothModeSel.addEventListener('change', () => {
+    updateSmoothing({ smoothingMode: smoothModeSel.value });
+  });
+  attackRange.addEventListener('input', () => {
+    updateSmoothing({ smoothingAttackMs: parseFloat(attackRange.value) });
+  });
+  releaseRange.addEventListener('input', () => {
+    updateSmoothing({ smoothingReleaseMs: parseFloat(releaseRange.value) });
+  });
+  holdRange.addEventListener('input', () => {
+    updateSmoothing({ smoothingHoldMs: parseFloat(holdRange.value) });
   });
   minHzRange.addEventListener('input', () => {
     MIN_HZ = parseFloat(minHzRange.value);
@@ -205,12 +627,86 @@ import { AudioProcessor, DEFAULT_AUDIO_CONFIG, DEFAULT_TUNER_CONFIG } from './au
     PCD_NORMALIZE = audioProcessor.config.pcdNormalize;
     pcdNormVal.textContent = PCD_NORMALIZE.toFixed(1);
   });
+  pcdMethodSel.addEventListener('change', () => {
+    PCD_METHOD = pcdMethodSel.value;
+    audioProcessor.updateConfig({ pcdMethod: PCD_METHOD });
+    PCD_METHOD = audioProcessor.config.pcdMethod;
+  });
+  for (const bins of EDO_PRESETS) {
+    pcdBinsSel.add(new Option(bins === 12 ? '12 (semitones)' : `${bins}-EDO`, String(bins)));
+  }
+  pcdBinsSel.addEventListener('change', () => {
+    PCD_BINS = parseInt(pcdBinsSel.value, 10);
+    audioProcessor.updateConfig({ pcdBins: PCD_BINS });
+    PCD_BINS = audioProcessor.config.pcdBins;
+    updateNoteLabels();
+    // The analyzer reallocates its PCD buffer for the new size
+    window.currentPCD = audioProcessor.getCurrentPcd();
+    resetNeedle();
+    drawRing(window.currentPCD);
+  });
+  hpssSel.addEventListener('change', () => {
+    HPSS = hpssSel.value === 'on';
+    audioProcessor.updateConfig({ hpss: HPSS });
+  });
+  hpcpHarmRange.addEventListener('input', () => {
+    HPCP_HARMONICS = parseInt(hpcpHarmRange.value, 10);
+    audioProcessor.updateConfig({ hpcpHarmonics: HPCP_HARMONICS });
+    HPCP_HARMONICS = audioProcessor.config.hpcpHarmonics;
+    hpcpHarmVal.textContent = HPCP_HARMONICS.toString();
+  });
+  inputDeviceSel.addEventListener('change', () => {
+    inputPrefs.deviceId = inputDeviceSel.value || null;
+    saveInputPrefs(inputPrefs);
+    audioProcessor.setInput({ deviceId: inputPrefs.deviceId }).catch(() => {});
+  });
+  channelModeSel.addEventListener('change', () => {
+    inputPrefs.channelMode = channelModeSel.value;
+    saveInputPrefs(inputPrefs);
+    audioProcessor.setInput({ channelMode: inputPrefs.channelMode }).catch(() => {});
+  });
+
+  function populateInputDevices(devices) {
+    const selected = inputPrefs.deviceId;
+    inputDeviceSel.textContent = '';
+    inputDeviceSel.add(new Option('System default', ''));
+    devices.forEach((device, i) => {
+      inputDeviceSel.add(new Option(device.label || `Input ${i + 1}`, device.deviceId));
+    });
+    // Keep showing the remembered device's slot only while it is plugged in
+    inputDeviceSel.value = devices.some(d => d.deviceId === selected) ? selected : '';
+  }
+
+  async function refreshInputDevices() {
+    try {
+      populateInputDevices(await audioProcessor.listInputDevices());
+    } catch (error) {
+      console.warn('Could not list input devices:', error);
+    }
+  }
 
   // ===== Ring drawing variables =====
   let userRotation = 0; // radians
   let needleAngleSm = null; // smoothed angle (radians)
   let centsSm = null;       // smoothed cents display
+  // Both follow the raw reading through one Smoother with the tuner's
+  // smoothing* options, timed by the frames' stream time
+  const needleSmoother = new Smoother();
+  const needleState = new Float64Array(2); // [angle, cents]
+  let needleTime = null;
+
+  function resetNeedle(){
+    needleAngleSm = null;
+    centsSm = null;
+    needleTime = null;
+    needleSmoother.reset();
+  }
   let lastPrimary = null;   // raw latest reading for UI
+  let lastNotes = [];       // polyphonic notes of the latest frame
+  let lastBeat = null;      // { at, downbeat } of the latest beat, for the ring pulse
+  let VIEW = 'ring';        // 'ring' or 'strobe'
+  let strobePhase = 0;      // pattern offset in stripe pairs of the fundamental row, [0, 1)
+  let strobeRaf = null;
 
   function setupCanvas(){
     // Get actual rendered size
@@ -247,7 +743,7 @@ import { AudioProcessor, DEFAULT_AUDIO_CONFIG, DEFAULT_TUNER_CONFIG } from './au
   let currentRMS = 0; // Track current audio RMS level
   let audioTrailPositions = []; // Array to store previous audio positions
   let audioTrailLine = null; // Three.js line object for trail visualization
-  let guideLines = { pha5Line: null, pha3Line: null }; // Guide lines for coordinate visualization
+  let guideLines = { majorLine: null, minorLine: null }; // Guide lines for coordinate visualization
   let mouse3D = { x: 0, y: 0 };
   let isMouseDown3D = false;
   let rotationMatrix = new THREE.Matrix4(); // Accumulate rotations in world space
@@ -256,153 +752,91 @@ import { AudioProcessor, DEFAULT_AUDIO_CONFIG, DEFAULT_TUNER_CONFIG } from './au
   const TORUS_MAJOR_RADIUS = 1.0;  // Major radius of the torus
   const TORUS_MINOR_RADIUS = 0.3;  // Minor radius (tube thickness)
   
-  // Hardcoded JSON data as fallback
-  const HARDCODED_DATA = {
-    notes: {
-      "Mag3": [1.0, 1.0, 1.0, 1.0, 1.0, 1.0, 1.0, 1.0, 1.0, 1.0, 1.0, 1.0],
-      "Pha3": [0.0, -1.5707963267948966, 3.141592653589793, 1.5707963267948966, 0.0, -1.5707963267948966, 3.141592653589793, 1.5707963267948966, 0.0, -1.5707963267948966, 3.141592653589793, 1.5707963267948966],
-      "Pha5": [0.0, -2.6179938779914944, 1.0471975511965976, -1.5707963267948966, 2.0943951023931957, -0.5235987755982988, 3.141592653589793, 0.5235987755982989, -2.0943951023931957, 1.5707963267948966, -1.0471975511965979, 2.6179938779914944],
-      "Labels": ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"]
-    },
-    chords: {
-      "Mag3": [0.7453559924999299, 0.7453559924999299, 0.7453559924999299, 0.7453559924999299, 0.7453559924999299, 0.7453559924999299, 0.7453559924999299, 0.7453559924999299, 0.7453559924999299, 0.7453559924999299, 0.7453559924999299, 0.7453559924999299, 0.7453559924999299, 0.7453559924999299, 0.7453559924999299, 0.7453559924999299, 0.7453559924999299, 0.7453559924999299, 0.7453559924999299, 0.7453559924999299, 0.7453559924999299, 0.7453559924999299, 0.7453559924999299, 0.7453559924999299],
-      "Pha3": [0.4636476090008061, 1.1071487177940904, -1.1071487177940904, -0.4636476090008061, -2.677945044588987, -2.0344439357957027, 2.0344439357957027, 2.677945044588987, 0.4636476090008061, 1.1071487177940904, -1.1071487177940904, -0.4636476090008061, -2.677945044588987, -2.0344439357957027, 2.0344439357957027, 2.677945044588987, 0.4636476090008061, 1.1071487177940904, -1.1071487177940904, -0.4636476090008061, -2.677945044588987, -2.0344439357957027, 2.0344439357957027, 2.677945044588987],
-      "Pha5": [0.7853981633974483, -0.26179938779914946, -1.8325957145940461, -2.879793265790644, 1.8325957145940461, 0.7853981633974483, -0.7853981633974483, -1.8325957145940461, 2.879793265790644, 1.8325957145940461, 0.26179938779914946, -0.7853981633974483, -2.356194490192345, 2.879793265790644, 1.3089969389957472, 0.26179938779914946, -1.3089969389957472, -2.356194490192345, 2.356194490192345, 1.3089969389957472, -0.2617993877991494, -1.3089969389957472, -2.879793265790644, 2.356194490192345],
-      "Labels": ["CMajor", "Cminor", "C#Major", "C#minor", "DMajor", "Dminor", "D#Major", "D#minor", "EMajor", "Eminor", "FMajor", "Fminor", "F#Major", "F#minor", "GMajor", "Gminor", "G#Major", "G#minor", "AMajor", "Aminor", "A#Major", "A#minor", "BMajor", "Bminor"]
-    }
+  // DFT coefficients that place a PCD on the torus: the phase of `major` is
+  // the angle around the ring, the phase of `minor` the angle around the
+  // tube, and the magnitude of `radius` the distance from the tube's centre
+  const TORUS_COORDS = { major: 5, minor: 3, radius: 3 };
+
+  // Waypoints as pitch-class sets; their coordinates come from the same DFT
+  // as the audio, so they follow any choice of TORUS_COORDS
+  const MAJOR_TRIAD = [0, 4, 7];
+  const MINOR_TRIAD = [0, 3, 7];
+  const WAYPOINTS = {
+    notes: NOTE_LABELS.sharps.map((name, pc) => ({ label: name, pitchClasses: [pc] })),
+    chords: NOTE_LABELS.sharps.flatMap((name, pc) => [
+      { label: `${name}Major`, pitchClasses: MAJOR_TRIAD.map(i => (pc + i) % 12) },
+      { label: `${name}minor`, pitchClasses: MINOR_TRIAD.map(i => (pc + i) % 12) },
+    ]),
   };
+
+  // Torus coordinates of a DFT result (amplitudes of a PCD normalised to sum
+  // 1 are 0..1); null when the bin count has no such coefficient
+  function torusCoordinates({ amplitudes, phases }) {
+    const { major, minor, radius } = TORUS_COORDS;
+    if (Math.max(major, minor, radius) >= phases.length) return null;
+    return { major: phases[major], minor: phases[minor], radius: amplitudes[radius] };
+  }
+
+  function waypointCoordinates(pitchClasses) {
+    const pcd = new Array(12).fill(0);
+    for (const pc of pitchClasses) pcd[pc] = 1;
+    return torusCoordinates(pcdToFrequencyDomain(pcd));
+  }
   
-  // Note name conversion system
-  function convertNoteNames(labels, noteNameFormat) {
+  // Note name conversion system: relabels the root of note/chord names in the
+  // chosen convention, transposed by `transpose` semitones (written pitch)
+  const ROOT_PITCH_CLASSES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+  function convertNoteNames(labels, noteNameFormat, transpose = 0) {
     return labels.map(label => {
-      if (!label.includes('#') && !label.includes('b')) {
-        return label; // Natural notes don't change
-      }
-      
-      const conversions = {
-        sharps: {
-          'Db': 'C#', 'Eb': 'D#', 'Gb': 'F#', 'Ab': 'G#', 'Bb': 'A#'
-        },
-        flats: {
-          'C#': 'Db', 'D#': 'Eb', 'F#': 'Gb', 'G#': 'Ab', 'A#': 'Bb'
-        },
-        mixed: {
-          'C#': 'C#/Db', 'Db': 'C#/Db', 'D#': 'D#/Eb', 'Eb': 'D#/Eb',
-          'F#': 'F#/Gb', 'Gb': 'F#/Gb', 'G#': 'G#/Ab', 'Ab': 'G#/Ab',
-          'A#': 'A#/Bb', 'Bb': 'A#/Bb'
-        }
-      };
-      
-      // Handle chord names (e.g., "C#Major" -> "DbMajor")
+      // Handle chord names too (e.g., "C#Major" -> "DbMajor")
       const baseNote = label.match(/^[A-G][#b]?/)?.[0];
-      if (baseNote && conversions[noteNameFormat][baseNote]) {
-        return label.replace(baseNote, conversions[noteNameFormat][baseNote]);
-      }
-      
-      return label;
+      if (!baseNote) return label;
+      const accidental = baseNote[1] === '#' ? 1 : baseNote[1] === 'b' ? -1 : 0;
+      const pc = ((ROOT_PITCH_CLASSES[baseNote[0]] + accidental + transpose) % 12 + 12) % 12;
+      return NOTE_LABELS[noteNameFormat][pc] + label.slice(baseNote.length);
     });
   }
   
   // Convert toroidal coordinates to Cartesian coordinates  
-  function toroidalToCartesian(pha5, pha3, mag3) {
-    // pha5: primary angle around major radius (0 to 2π)
-    // pha3: secondary angle around minor radius (0 to 2π) 
-    // mag3: radial distance from tube center (0 to 1, scaled to minor radius)
+  function toroidalToCartesian(majorAngle, minorAngle, radius) {
+    // majorAngle: primary angle around major radius (-π to +π)
+    // minorAngle: secondary angle around minor radius (-π to +π)
+    // radius: radial distance from tube center (0 to 1, scaled to minor radius)
     
-    // mag3 = 0 means at the centerline of the tube
-    // mag3 = 1 means at the edge of the tube
-    const tubeRadius = mag3 * TORUS_MINOR_RADIUS;
+    // radius = 0 means at the centerline of the tube
+    // radius = 1 means at the edge of the tube
+    const tubeRadius = radius * TORUS_MINOR_RADIUS;
     
     // Standard torus parameterization
     // First, find the position on the major circle
-    const majorX = TORUS_MAJOR_RADIUS * Math.cos(pha5);
-    const majorZ = TORUS_MAJOR_RADIUS * Math.sin(pha5);
+    const majorX = TORUS_MAJOR_RADIUS * Math.cos(majorAngle);
+    const majorZ = TORUS_MAJOR_RADIUS * Math.sin(majorAngle);
     
-    // Then offset by the tube radius in the direction defined by pha3
-    const x = majorX + tubeRadius * Math.cos(pha3) * Math.cos(pha5);
-    const y = tubeRadius * Math.sin(pha3);  
-    const z = majorZ + tubeRadius * Math.cos(pha3) * Math.sin(pha5);
+    // Then offset by the tube radius in the direction defined by minorAngle
+    const x = majorX + tubeRadius * Math.cos(minorAngle) * Math.cos(majorAngle);
+    const y = tubeRadius * Math.sin(minorAngle);  
+    const z = majorZ + tubeRadius * Math.cos(minorAngle) * Math.sin(majorAngle);
     
     return new THREE.Vector3(x, y, z);
   }
 
-  // Load and plot JSON waypoint data
-  async function loadAndPlotJSON(filename) {
-    try {
-      console.log(`Attempting to load: json/${filename}`);
-      const response = await fetch(`json/${filename}`);
-      
-      console.log('Response status:', response.status, response.statusText);
-      
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      
-      const textContent = await response.text();
-      console.log('Raw response length:', textContent.length);
-      console.log('Raw response (first 500 chars):', JSON.stringify(textContent.substring(0, 500)));
-      console.log('Response content type:', response.headers.get('content-type'));
-      
-      if (textContent.trim() === '') {
-        throw new Error('Empty response received');
-      }
-      
-      const data = JSON.parse(textContent);
-      console.log(`Successfully loaded ${filename}:`, data);
-      
-      // Clear any existing objects (except the torus itself)
-      // Remove all children except the torus mesh
-      const torusToKeep = torusContainer3D.children.find(child => child.geometry && child.geometry.type === 'TorusGeometry');
-      torusContainer3D.clear();
-      if (torusToKeep) {
-        torusContainer3D.add(torusToKeep);
-      }
-      
-      plotJSONPoints(data);
-      
-    } catch (error) {
-      console.error(`Error loading ${filename}:`, error);
-      // Fallback to hardcoded data if JSON loading fails
-      const dataName = filename.replace('.json', '');
-      console.log(`Falling back to hardcoded ${dataName} data...`);
-      
-      if (HARDCODED_DATA[dataName]) {
-        plotJSONPoints(HARDCODED_DATA[dataName]);
-      } else {
-        console.error(`No hardcoded data available for ${dataName}`);
-        addTestObjects(); // Final fallback
-      }
-    }
-  }
-
-  function plotJSONPoints(data, colorOffset = 0) {
-    const { Mag3, Pha3, Pha5, Labels } = data;
-    
-    if (!Mag3 || !Pha3 || !Pha5 || !Labels) {
-      console.error('Invalid JSON structure. Expected Mag3, Pha3, Pha5, and Labels arrays.');
-      return;
-    }
-    
+  function plotWaypoints(waypoints) {
     // Get current note name format setting
     const noteNameFormat = document.getElementById('noteNames').value;
-    const convertedLabels = convertNoteNames(Labels, noteNameFormat);
+    const convertedLabels = convertNoteNames(waypoints.map(w => w.label), noteNameFormat, TRANSPOSE);
     
-    const numPoints = Math.min(Mag3.length, Pha3.length, Pha5.length, Labels.length);
-    
-    for (let i = 0; i < numPoints; i++) {
-      const mag3 = Mag3[i];
-      const pha3 = Pha3[i]; 
-      const pha5 = Pha5[i];
+    waypoints.forEach((waypoint, i) => {
+      const coords = waypointCoordinates(waypoint.pitchClasses);
       const label = convertedLabels[i];
       
       // Calculate position using our coordinate system
-      const position = toroidalToCartesian(pha5, pha3, mag3);
+      const position = toroidalToCartesian(coords.major, coords.minor, coords.radius);
       
       // Create colored tetrahedron for each point (more efficient than cubes)
       const waypointSize = parseFloat(document.getElementById('waypointSize').value);
       const pyramidGeo = new THREE.TetrahedronGeometry(waypointSize);
-      // Use pha5 coordinate (-π to +π) to determine hue for intuitive torus orientation
-      const hue = ((pha5 + Math.PI) / (2 * Math.PI)) * 360; // Map -π to +π → 0 to 360° hue
+      // Use the major angle (-π to +π) to determine hue for intuitive torus orientation
+      const hue = ((coords.major + Math.PI) / (2 * Math.PI)) * 360; // Map -π to +π → 0 to 360° hue
       const pyramidMat = new THREE.MeshLambertMaterial({ 
         color: new THREE.Color(`hsl(${hue}, 70%, 60%)`)
       });
@@ -429,13 +863,11 @@ import { AudioProcessor, DEFAULT_AUDIO_CONFIG, DEFAULT_TUNER_CONFIG } from './au
       const sprite = new THREE.Sprite(spriteMaterial);
       
       // Position text near the cube but outside for visibility
-      const labelPosition = toroidalToCartesian(pha5, pha3, Math.min(mag3 + 0.3, 1.1));
+      const labelPosition = toroidalToCartesian(coords.major, coords.minor, Math.min(coords.radius + 0.3, 1.1));
       sprite.position.copy(labelPosition);
       sprite.scale.set(0.2, 0.1, 1);
       torusContainer3D.add(sprite);
-    }
-    
-    console.log(`Plotted ${numPoints} points from JSON data`);
+    });
   }
   
   function update3DVisualization() {
@@ -451,14 +883,14 @@ import { AudioProcessor, DEFAULT_AUDIO_CONFIG, DEFAULT_TUNER_CONFIG } from './au
     // Plot data based on selection
     switch(showData) {
       case 'notes':
-        plotJSONPoints(HARDCODED_DATA.notes, 0);
+        plotWaypoints(WAYPOINTS.notes);
         break;
       case 'chords':
-        plotJSONPoints(HARDCODED_DATA.chords, 0);
+        plotWaypoints(WAYPOINTS.chords);
         break;
       case 'both':
-        plotJSONPoints(HARDCODED_DATA.notes, 0);
-        plotJSONPoints(HARDCODED_DATA.chords, 12); // Different color offset
+        plotWaypoints(WAYPOINTS.notes);
+        plotWaypoints(WAYPOINTS.chords);
         break;
       case 'neither':
         // Empty torus
@@ -466,61 +898,6 @@ import { AudioProcessor, DEFAULT_AUDIO_CONFIG, DEFAULT_TUNER_CONFIG } from './au
     }
   }
 
-  function addTestObjects() {
-    // Test pyramid at center of torus
-    const testPyramidGeo = new THREE.TetrahedronGeometry(0.08);
-    const testPyramidMat = new THREE.MeshLambertMaterial({ color: 0xff4444 });
-    const testPyramid = new THREE.Mesh(testPyramidGeo, testPyramidMat);
-    testPyramid.position.set(0, 0, 0);
-    torusContainer3D.add(testPyramid); // Add to container so it rotates with the whole system
-
-    // Test objects at various toroidal coordinates
-    const testPositions = [
-      { pha5: 0, pha3: 0, mag3: 0, color: 0x44ff44 },             // Green at centerline of tube
-      { pha5: Math.PI/2, pha3: 0, mag3: 0, color: 0xffff44 },    // Yellow at quarter turn, centerline
-      { pha5: Math.PI, pha3: 0, mag3: 0, color: 0xff44ff },      // Magenta at opposite side, centerline
-      { pha5: 1.5*Math.PI, pha3: 0, mag3: 0, color: 0x44ffff },  // Cyan at three-quarter turn, centerline
-      { pha5: 0, pha3: Math.PI/2, mag3: 0.3, color: 0xffffff },  // White testing pha3 rotation, partial radius
-      { pha5: Math.PI/4, pha3: Math.PI, mag3: 0.5, color: 0xff8800 } // Orange testing different parameters
-    ];
-
-    testPositions.forEach((pos, index) => {
-      const position = toroidalToCartesian(pos.pha5, pos.pha3, pos.mag3);
-      
-      // Small pyramid at the position
-      const pyramidGeo = new THREE.TetrahedronGeometry(0.04);
-      const pyramidMat = new THREE.MeshLambertMaterial({ color: pos.color });
-      const pyramid = new THREE.Mesh(pyramidGeo, pyramidMat);
-      pyramid.position.copy(position);
-      torusContainer3D.add(pyramid); // Add to container so it rotates with the whole system
-
-      // Text label positioned outside the torus for visibility
-      const canvas = document.createElement('canvas');
-      canvas.width = 128;
-      canvas.height = 64;
-      const ctx = canvas.getContext('2d');
-      ctx.fillStyle = '#ffffff';
-      ctx.font = '14px Arial';
-      ctx.textAlign = 'center';
-      ctx.fillText(`P${index + 1}`, 64, 20);
-      ctx.fillText(`(${pos.pha5.toFixed(1)}, ${pos.pha3.toFixed(1)}, ${pos.mag3.toFixed(1)})`, 64, 40);
-
-      const texture = new THREE.CanvasTexture(canvas);
-      const spriteMaterial = new THREE.SpriteMaterial({ 
-        map: texture,
-        depthTest: false, // Always render on top
-        depthWrite: false
-      });
-      const sprite = new THREE.Sprite(spriteMaterial);
-      
-      // Position text closer to the cube but still outside the torus for visibility
-      const labelPosition = toroidalToCartesian(pos.pha5, pos.pha3, Math.min(pos.mag3 + 0.4, 1.1)); // Slightly outside the cube position
-      sprite.position.copy(labelPosition);
-      sprite.scale.set(0.25, 0.125, 1);
-      torusContainer3D.add(sprite); // Add to container so it rotates with the whole system
-    });
-  }
-
   function init3DScene() {
     // Wait for container to have proper dimensions
     const container = cubeCanvas.parentElement;
@@ -616,6 +993,16 @@ import { AudioProcessor, DEFAULT_AUDIO_CONFIG, DEFAULT_TUNER_CONFIG } from './au
     // Note names change listener (update 3D labels when note format changes)
     document.getElementById('noteNames').addEventListener('change', update3DVisualization);
 
+    // Torus coordinate listeners: the trail was placed with the old mapping
+    for (const [sel, key] of [[torusMajorSel, 'major'], [torusMinorSel, 'minor'], [torusRadiusSel, 'radius']]) {
+      sel.addEventListener('change', () => {
+        TORUS_COORDS[key] = parseInt(sel.value, 10);
+        clearAudioTrail();
+        clearGuideLines();
+        update3DVisualization();
+      });
+    }
+
     // Waypoint size change listener
     const waypointSizeSlider = document.getElementById('waypointSize');
     const waypointSizeDisplay = document.getElementById('waypointSizeVal');
@@ -858,7 +1245,7 @@ import { AudioProcessor, DEFAULT_AUDIO_CONFIG, DEFAULT_TUNER_CONFIG } from './au
   
   function pcFillColor(i){ return `hsl(${PC_HUE(i)} ${COLOR.sat}% ${COLOR.light}%)`; }
   function slotBgColor(i){ 
-    if (IS_BLACK[i]) {
+    if (IS_BLACK[binPitchClass(i, PCD_BINS)]) {
       // Black keys: extremely dark, nearly pure black
       return 'rgba(5, 5, 5, 0.85)';
     } else {
@@ -873,29 +1260,140 @@ import { AudioProcessor, DEFAULT_AUDIO_CONFIG, DEFAULT_TUNER_CONFIG } from './au
     try {
       // Convert PCD to frequency domain
       const dftResult = pcdToFrequencyDomain(Array.from(pcd));
-      
-      // Display all 7 magnitudes (k=0..6)
-      const magnitudesText = dftResult.amplitudes
-        .map((amp, k) => `k=${k}: ${amp.toFixed(4)}`)
-        .join('\n');
-      
-      // Display all 7 phases (k=0..6) 
-      const phasesText = dftResult.phases
-        .map((phase, k) => `k=${k}: ${phase.toFixed(4)}`)
-        .join('\n');
-      
-      dftMagnitudes.textContent = magnitudesText;
-      dftPhases.textContent = phasesText;
+
+      dftHistory.push({ amplitudes: dftResult.amplitudes, phases: dftResult.phases });
+      while (dftHistory.length > DFT_PANEL.history) dftHistory.shift();
+      drawDftPanel(pcd.length);
       
       // Update 3D audio position in torus
       updateAudioPositionInTorus(dftResult, rms);
     } catch (error) {
       console.error('DFT computation error:', error);
-      dftMagnitudes.textContent = 'Error computing DFT: ' + error.message;
-      dftPhases.textContent = 'Error computing DFT: ' + error.message;
     }
   }
 
+  // Coefficient names: the Fourier qualities at 12 bins, plain k otherwise
+  function dftLabel(k, bins){
+    return bins === 12 ? FOURIER_QUALITIES[k - 1] : `k=${k}`;
+  }
+
+  // Radar of |f_k| for k=1..6 (0..1, as the PCD sums to 1), a phase dial per
+  // coefficient, and a magnitude sparkline per coefficient over the history
+  function drawDftPanel(bins){
+    const rect = dftCanvas.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return; // settings collapsed
+    const dpr = window.devicePixelRatio || 1;
+    if (dftCanvas.width !== Math.round(rect.width * dpr) || dftCanvas.height !== Math.round(rect.height * dpr)){
+      dftCanvas.width = Math.round(rect.width * dpr);
+      dftCanvas.height = Math.round(rect.height * dpr);
+    }
+    const c = dftCtx;
+    c.setTransform(dpr, 0, 0, dpr, 0, 0);
+    c.clearRect(0, 0, rect.width, rect.height);
+
+    const latest = dftHistory[dftHistory.length - 1];
+    if (!latest) return;
+    const count = Math.min(DFT_PANEL.coefficients, latest.amplitudes.length - 1);
+    if (count < 1) return;
+    const font = px => `${px}px system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial`;
+    const color = (k, alpha = 1) => `hsla(${DFT_HUE(k)}, 70%, 55%, ${alpha})`;
+
+    // Radar
+    const top = Math.min(DFT_PANEL.radarHeight, rect.height * 0.6);
+    const cx = top / 2, cy = top / 2;
+    const radius = top / 2 - 26;
+    const axis = k => -Math.PI / 2 + (k - 1) * 2 * Math.PI / count;
+    c.lineWidth = 1;
+    c.strokeStyle = 'rgba(136,136,136,0.35)';
+    for (const level of [0.25, 0.5, 0.75, 1]){
+      c.beginPath();
+      for (let k = 1; k <= count; k++){
+        const x = cx + Math.cos(axis(k)) * radius * level;
+        const y = cy + Math.sin(axis(k)) * radius * level;
+        if (k === 1) c.moveTo(x, y); else c.lineTo(x, y);
+      }
+      c.closePath();
+      c.stroke();
+    }
+    c.font = font(10);
+    c.textAlign = 'center';
+    c.textBaseline = 'middle';
+    for (let k = 1; k <= count; k++){
+      c.beginPath();
+      c.moveTo(cx, cy);
+      c.lineTo(cx + Math.cos(axis(k)) * radius, cy + Math.sin(axis(k)) * radius);
+      c.stroke();
+      c.fillStyle = color(k);
+      c.fillText(dftLabel(k, bins), cx + Math.cos(axis(k)) * (radius + 14), cy + Math.sin(axis(k)) * (radius + 12));
+    }
+    c.beginPath();
+    for (let k = 1; k <= count; k++){
+      const r = radius * Math.min(1, latest.amplitudes[k]);
+      const x = cx + Math.cos(axis(k)) * r;
+      const y = cy + Math.sin(axis(k)) * r;
+      if (k === 1) c.moveTo(x, y); else c.lineTo(x, y);
+    }
+    c.closePath();
+    c.fillStyle = 'rgba(0,170,255,0.25)';
+    c.strokeStyle = '#00aaff';
+    c.lineWidth = 2;
+    c.fill();
+    c.stroke();
+
+    // Phase dials, 3 per row to the right of the radar; the hand's length is |f_k|
+    const cols = 3;
+    const rows = Math.ceil(count / cols);
+    const cellW = (rect.width - top) / cols;
+    const cellH = top / rows;
+    const dialR = Math.max(6, Math.min(cellW, cellH) / 2 - 14);
+    for (let k = 1; k <= count; k++){
+      const x = top + ((k - 1) % cols + 0.5) * cellW;
+      const y = (Math.floor((k - 1) / cols) + 0.5) * cellH - 6;
+      const phase = latest.phases[k];
+      const length = dialR * Math.max(0.15, Math.min(1, latest.amplitudes[k]));
+      c.lineWidth = 1;
+      c.strokeStyle = 'rgba(136,136,136,0.5)';
+      c.beginPath();
+      c.arc(x, y, dialR, 0, Math.PI * 2);
+      c.stroke();
+      c.strokeStyle = color(k);
+      c.lineWidth = 2.5;
+      c.beginPath();
+      c.moveTo(x, y);
+      c.lineTo(x + Math.cos(phase) * length, y - Math.sin(phase) * length);
+      c.stroke();
+      c.fillStyle = DFT_PANEL.textColor;
+      c.font = font(10);
+      c.fillText(`φ${k} ${phase.toFixed(2)}`, x, y + dialR + 9);
+    }
+
+    // Sparklines of |f_k| over the history
+    const lineTop = top + 6;
+    const lineH = (rect.height - lineTop) / count;
+    const labelW = 96;
+    const valueW = 44;
+    const plotW = Math.max(10, rect.width - labelW - valueW);
+    for (let k = 1; k <= count; k++){
+      const y0 = lineTop + (k - 1) * lineH;
+      c.fillStyle = color(k);
+      c.textAlign = 'left';
+      c.fillText(dftLabel(k, bins), 0, y0 + lineH / 2);
+      c.textAlign = 'right';
+      c.fillStyle = DFT_PANEL.textColor;
+      c.fillText(latest.amplitudes[k].toFixed(3), rect.width, y0 + lineH / 2);
+      c.strokeStyle = color(k);
+      c.lineWidth = 1.5;
+      c.beginPath();
+      dftHistory.forEach((frame, i) => {
+        const x = labelW + (i + DFT_PANEL.history - dftHistory.length) * plotW / (DFT_PANEL.history - 1);
+        const y = y0 + lineH - 2 - Math.min(1, frame.amplitudes[k] || 0) * (lineH - 4);
+        if (i === 0) c.moveTo(x, y); else c.lineTo(x, y);
+      });
+      c.stroke();
+    }
+    c.textAlign = 'center';
+  }
+
   function updateAudioPositionInTorus(dftResult, rms = 0) {
     if (!torusContainer3D) return; // 3D not initialized yet
     
@@ -912,18 +1410,17 @@ import { AudioProcessor, DEFAULT_AUDIO_CONFIG, DEFAULT_TUNER_CONFIG } from './au
         clearGuideLines();  // Clear guide lines when audio is not active
         return; // Hide sphere when audio is not active
       }
-      
-      // Extract coordinates from DFT coefficients
-      const pha5 = dftResult.phases[5]; // k=5 phase → pha5 (-π to +π)
-      const pha3 = dftResult.phases[3]; // k=3 phase → pha3 (-π to +π)
-      const mag3 = dftResult.amplitudes[3]; // k=3 amplitude → mag3 (0 to 1)
+      // Extract coordinates from the TORUS_COORDS coefficients; too few bins
+      // to have them leaves the sphere out
+      const coords = torusCoordinates(dftResult);
+      if (!coords) return;
       
       // Create new audio position sphere
-      const position = toroidalToCartesian(pha5, pha3, mag3);
+      const position = toroidalToCartesian(coords.major, coords.minor, coords.radius);
       const sphereGeo = new THREE.SphereGeometry(0.08, 16, 12); // Sphere to differentiate from pyramids
       
-      // Use pha5 for hue like the waypoints, but make it brighter/more saturated
-      const hue = ((pha5 + Math.PI) / (2 * Math.PI)) * 360;
+      // Use the major angle for hue like the waypoints, but make it brighter/more saturated
+      const hue = ((coords.major + Math.PI) / (2 * Math.PI)) * 360;
       const sphereMat = new THREE.MeshLambertMaterial({ 
         color: new THREE.Color(`hsl(${hue}, 90%, 70%)`), // More vibrant than waypoints
         emissive: new THREE.Color(`hsl(${hue}, 30%, 20%)`) // Slight glow
@@ -937,7 +1434,7 @@ import { AudioProcessor, DEFAULT_AUDIO_CONFIG, DEFAULT_TUNER_CONFIG } from './au
       addToAudioTrail(position);
       
       // Update guide lines to show coordinate system
-      updateGuideLines(pha5, pha3, mag3, position);
+      updateGuideLines(coords.major, position);
     } catch (error) {
       console.error('Error updating audio position in torus:', error);
     }
@@ -1033,47 +1530,47 @@ import { AudioProcessor, DEFAULT_AUDIO_CONFIG, DEFAULT_TUNER_CONFIG } from './au
     }
   }
   
-  function updateGuideLines(pha5, pha3, mag3, spherePosition) {
+  function updateGuideLines(majorAngle, spherePosition) {
     if (!torusContainer3D) return;
     
     try {
       // Clear existing guide lines
       clearGuideLines();
       
-      // Calculate tube center position at current pha5 (pha3=0, mag3=0)
-      const tubeCenterPosition = toroidalToCartesian(pha5, 0, 0);
+      // Calculate tube center position at the current major angle
+      const tubeCenterPosition = toroidalToCartesian(majorAngle, 0, 0);
       
-      // Create pha5 guide line: from torus center (0,0,0) to tube center
-      const pha5Points = [
+      // Create major-angle guide line: from torus center (0,0,0) to tube center
+      const majorPoints = [
         new THREE.Vector3(0, 0, 0),  // Torus center
-        tubeCenterPosition           // Tube center at current pha5
+        tubeCenterPosition           // Tube center at the current major angle
       ];
-      const pha5Geometry = new THREE.BufferGeometry().setFromPoints(pha5Points);
-      const pha5Material = new THREE.LineBasicMaterial({ 
-        color: 0xff4444,      // Red for pha5
+      const majorGeometry = new THREE.BufferGeometry().setFromPoints(majorPoints);
+      const majorMaterial = new THREE.LineBasicMaterial({ 
+        color: 0xff4444,      // Red for the major angle
         opacity: 0.7,
         transparent: true,
         depthTest: false,
         depthWrite: false
       });
-      guideLines.pha5Line = new THREE.Line(pha5Geometry, pha5Material);
-      torusContainer3D.add(guideLines.pha5Line);
+      guideLines.majorLine = new THREE.Line(majorGeometry, majorMaterial);
+      torusContainer3D.add(guideLines.majorLine);
       
-      // Create pha3/mag3 guide line: from tube center to sphere position
-      const pha3Points = [
+      // Create minor angle/radius guide line: from tube center to sphere position
+      const minorPoints = [
         tubeCenterPosition,  // Tube center
         spherePosition       // Current audio sphere position
       ];
-      const pha3Geometry = new THREE.BufferGeometry().setFromPoints(pha3Points);
-      const pha3Material = new THREE.LineBasicMaterial({ 
-        color: 0x44ff44,      // Green for pha3/mag3
+      const minorGeometry = new THREE.BufferGeometry().setFromPoints(minorPoints);
+      const minorMaterial = new THREE.LineBasicMaterial({ 
+        color: 0x44ff44,      // Green for the minor angle and radius
         opacity: 0.7,
         transparent: true,
         depthTest: false,
         depthWrite: false
       });
-      guideLines.pha3Line = new THREE.Line(pha3Geometry, pha3Material);
-      torusContainer3D.add(guideLines.pha3Line);
+      guideLines.minorLine = new THREE.Line(minorGeometry, minorMaterial);
+      torusContainer3D.add(guideLines.minorLine);
       
     } catch (error) {
       console.error('Error updating guide lines:', error);
@@ -1081,17 +1578,18 @@ import { AudioProcessor, DEFAULT_AUDIO_CONFIG, DEFAULT_TUNER_CONFIG } from './au
   }
   
   function clearGuideLines() {
-    if (guideLines.pha5Line) {
-      torusContainer3D.remove(guideLines.pha5Line);
-      guideLines.pha5Line = null;
+    if (guideLines.majorLine) {
+      torusContainer3D.remove(guideLines.majorLine);
+      guideLines.majorLine = null;
     }
-    if (guideLines.pha3Line) {
-      torusContainer3D.remove(guideLines.pha3Line);
-      guideLines.pha3Line = null;
+    if (guideLines.minorLine) {
+      torusContainer3D.remove(guideLines.minorLine);
+      guideLines.minorLine = null;
     }
   }
 
   function drawRing(pcd){
+    if (VIEW === 'strobe') return; // the strobe animation owns the canvas
     const { width, height } = canvas.getBoundingClientRect();
     const cx = width/2, cy = height/2;
     const rMin = Math.min(width, height)/2;
@@ -1101,15 +1599,17 @@ import { AudioProcessor, DEFAULT_AUDIO_CONFIG, DEFAULT_TUNER_CONFIG } from './au
 
     ctx.clearRect(0,0,width,height);
 
-    const slice = (Math.PI*2)/12;
+    const bins = pcd.length;
+    const slice = (Math.PI*2)/bins;
     const gap = Math.min(RING.gapRadians, slice*0.3);
 
-    const fontPx = Math.max(11, Math.min(18, Math.round(rMin*0.06)));
+    // Labels shrink for large bin counts so neighbours don't overlap
+    const fontPx = Math.max(bins > 24 ? 7 : 11, Math.min(18, Math.round(rMin*0.06*Math.min(1, 16/bins))));
     ctx.font = `${fontPx}px system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial`;
     ctx.textAlign = 'center';
     ctx.textBaseline = 'middle';
 
-    for (let i=0;i<12;i++){
+    for (let i=0;i<bins;i++){
       const a0 = RING.baseRotation + userRotation + i*slice + gap/2;
       const a1 = a0 + slice - gap;
 
@@ -1131,13 +1631,55 @@ import { AudioProcessor, DEFAULT_AUDIO_CONFIG, DEFAULT_TUNER_CONFIG } from './au
       const ly = cy + Math.sin(mid)*rLabel;
 
       ctx.lineWidth = Math.max(2, fontPx/5);
-      ctx.strokeStyle = 'rgba(0,0,0,0.6)'; ctx.strokeText(currentNoteLabels[i], lx, ly);
-      ctx.strokeStyle = 'rgba(255,255,255,0.6)'; ctx.strokeText(currentNoteLabels[i], lx, ly);
-      ctx.fillStyle = '#333333'; ctx.fillText(currentNoteLabels[i], lx, ly);
+      const label = binNoteLabels[i] ?? '';
+      ctx.strokeStyle = 'rgba(0,0,0,0.6)'; ctx.strokeText(label, lx, ly);
+      ctx.strokeStyle = 'rgba(255,255,255,0.6)'; ctx.strokeText(label, lx, ly);
+      ctx.fillStyle = '#333333'; ctx.fillText(label, lx, ly);
 
       // Black key indication removed - using background colors instead
     }
 
+    // Draw a tick per detected note, labelled with its octave
+    if (NOTE_TICKS.enabled && lastNotes.length){
+      const tickFont = Math.max(9, Math.round(fontPx*0.7));
+      ctx.save();
+      ctx.font = `${tickFont}px system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial`;
+      ctx.strokeStyle = NOTE_TICKS.color;
+      ctx.fillStyle = NOTE_TICKS.color;
+      ctx.lineWidth = NOTE_TICKS.width;
+      ctx.lineCap = 'round';
+      for (const note of lastNotes){
+        const pc = ((note.midi % 12) + 12) % 12;
+        const position = (pc + note.cents/100) * bins / 12; // in bins
+        const angle = RING.baseRotation + userRotation + (position + 0.5)*slice;
+        const len = rMin * NOTE_TICKS.maxLengthRatio * Math.max(0.3, note.salience);
+        const cos = Math.cos(angle), sin = Math.sin(angle);
+        ctx.beginPath();
+        ctx.moveTo(cx + cos*(rOuter - len), cy + sin*(rOuter - len));
+        ctx.lineTo(cx + cos*rOuter, cy + sin*rOuter);
+        ctx.stroke();
+        const rText = rOuter - len - tickFont*0.7;
+        ctx.fillText(String(Math.floor((note.midi + TRANSPOSE)/12) - 1), cx + cos*rText, cy + sin*rText);
+      }
+      ctx.restore();
+    }
+
+    // Flash the outer edge on beats
+    if (BEAT_PULSE.enabled && lastBeat){
+      const fade = Math.exp(-(performance.now() - lastBeat.at) / BEAT_PULSE.decayMs);
+      const alpha = fade * (lastBeat.downbeat ? 1 : BEAT_PULSE.beatStrength);
+      if (alpha > 0.02){
+        ctx.save();
+        ctx.globalAlpha = alpha;
+        ctx.strokeStyle = BEAT_PULSE.color;
+        ctx.lineWidth = BEAT_PULSE.width;
+        ctx.beginPath();
+        ctx.arc(cx, cy, rOuter + BEAT_PULSE.width/2 + 1, 0, Math.PI*2);
+        ctx.stroke();
+        ctx.restore();
+      }
+    }
+
     // Draw tuning needle (smoothed angle)
     if (needleAngleSm != null){
       const hubR  = rMin * TUNER.hubRadiusRatio;
@@ -1168,6 +1710,77 @@ import { AudioProcessor, DEFAULT_AUDIO_CONFIG, DEFAULT_TUNER_CONFIG } from './au
     }
   }
 
+  // Strobe view: the band phase is the signal's phase measured against the
+  // target, carried forward from the latest reading at its measured rate
+  function strobeFrame(now){
+    if (VIEW !== 'strobe'){
+      strobeRaf = null;
+      return;
+    }
+    if (lastPrimary){
+      const elapsed = Math.min(0.1, Math.max(0, now - lastPrimary.receivedAt) / 1000);
+      const phase = lastPrimary.phase + lastPrimary.phaseRate * elapsed;
+      strobePhase = phase - Math.floor(phase);
+    }
+    drawStrobe();
+    strobeRaf = requestAnimationFrame(strobeFrame);
+  }
+
+  function drawStrobe(){
+    const { width, height } = canvas.getBoundingClientRect();
+    ctx.clearRect(0,0,width,height);
+
+    const fontPx = Math.max(18, Math.round(Math.min(width, height) * 0.12));
+    const headerH = fontPx * 1.8;
+    const rowGap = 6;
+    const rows = STROBE.harmonics.length;
+    const rowH = Math.max(8, (height - headerH - rowGap * (rows + 1)) / rows);
+    const period = STROBE.stripePx * 2;
+
+    ctx.save();
+    ctx.globalAlpha = lastPrimary ? 1 : 0.3;
+    STROBE.harmonics.forEach((harmonic, r) => {
+      const y = headerH + rowGap + r * (rowH + rowGap);
+      const offset = ((strobePhase * harmonic) % 1) * period;
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(0, y, width, rowH);
+      ctx.clip();
+      ctx.fillStyle = 'color-mix(in oklab, currentColor 10%, transparent)';
+      ctx.fillRect(0, y, width, rowH);
+      ctx.fillStyle = STROBE.color;
+      for (let x = offset - period; x < width; x += period){
+        ctx.fillRect(x, y, STROBE.stripePx, rowH);
+      }
+      ctx.restore();
+    });
+    ctx.restore();
+
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    if (lastPrimary){
+      const cents = lastPrimary.centsSm;
+      const inTune = Math.abs(cents) <= STROBE.inTuneCents;
+      const centsStr = (cents >= 0 ? '+' : '') + cents.toFixed(1) + '¢';
+      ctx.font = `600 ${fontPx}px system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial`;
+      ctx.fillStyle = inTune ? STROBE.inTuneColor : '#888888';
+      ctx.fillText(`${binNoteLabels[lastPrimary.pc] ?? ''}  ${centsStr}`, width/2, headerH/2);
+    } else {
+      ctx.font = `${Math.round(fontPx*0.6)}px system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial`;
+      ctx.fillStyle = '#888888';
+      ctx.fillText('—', width/2, headerH/2);
+    }
+  }
+
+  function setView(view){
+    VIEW = view;
+    if (VIEW === 'strobe'){
+      if (strobeRaf == null) strobeRaf = requestAnimationFrame(strobeFrame);
+    } else {
+      drawRing(window.currentPCD);
+    }
+  }
+
   // Angle unwrapping helper: get shortest angular difference in [-π, π]
   function wrapDiff(target, current){
     let d = target - current;
@@ -1210,15 +1823,30 @@ import { AudioProcessor, DEFAULT_AUDIO_CONFIG, DEFAULT_TUNER_CONFIG } from './au
   // ===== Audio + analysis =====
   audioProcessor = new AudioProcessor({
     windowSize: WINDOW_SIZE,
+    windowType: WINDOW_TYPE,
+    kaiserBeta: KAISER_BETA,
     hopSize: HOP_SIZE,
     minHz: MIN_HZ,
     maxHz: MAX_HZ,
-    smoothing: SMOOTHING,
+    ...SMOOTHING,
     pcdMinRms: PCD_MIN_RMS,
     pcdThreshold: PCD_THRESHOLD,
     pcdNormalize: PCD_NORMALIZE,
+    pcdMethod: PCD_METHOD,
+    pcdBins: PCD_BINS,
+    hpcpHarmonics: HPCP_HARMONICS,
+    hpss: HPSS,
+    onsetThreshold: ONSET_THRESHOLD,
+    beatsPerBar: BEATS_PER_BAR,
+    pcdSegment: PCD_SEGMENT,
+    pcdSegmentReset: PCD_SEGMENT !== 'off',
+    keyProfile: KEY_PROFILE,
+    keyWindowSeconds: KEY_WINDOW,
+    chordHoldSeconds: CHORD_HOLD,
     refA4: REF_A4,
+    autoTune: AUTO_TUNE,
     tuner: TUNER,
+    input: inputPrefs,
   });
 
   window.currentPCD = audioProcessor.getCurrentPcd();
@@ -1226,10 +1854,25 @@ import { AudioProcessor, DEFAULT_AUDIO_CONFIG, DEFAULT_TUNER_CONFIG } from './au
   let isAudioRunning = false;
   let startInProgress = false;
 
+  audioProcessor.addEventListener('devicechange', ({ detail }) => {
+    populateInputDevices(detail.devices);
+    // The remembered device was plugged back in: switch to it
+    const preferred = inputPrefs.deviceId;
+    if (preferred && audioProcessor.getInput().deviceId !== preferred &&
+        detail.devices.some(d => d.deviceId === preferred)) {
+      audioProcessor.setInput({ deviceId: preferred }).catch(() => {});
+    }
+  });
+
   audioProcessor.addEventListener('statechange', ({ detail }) => {
     isAudioRunning = detail.running;
+    if (detail.running && audioProcessor.getSourceType() === 'mic') {
+      refreshInputDevices(); // labels become available once permission is granted
+    }
     startBtn.disabled = detail.running || startInProgress;
+    loadFileBtn.disabled = detail.running || startInProgress;
     stopBtn.disabled = !detail.running;
+    updateMidiNoteCount();
     if (detail.running) {
       statusEl.textContent = 'Running…';
     } else if (!startInProgress) {
@@ -1237,58 +1880,126 @@ import { AudioProcessor, DEFAULT_AUDIO_CONFIG, DEFAULT_TUNER_CONFIG } from './au
     }
   });
 
-  audioProcessor.addEventListener('analysis', ({ detail }) => {
-    const { pcd, rms, primary } = detail;
-    currentRMS = rms;
-
-    statusEl.textContent = `Running @ ${audioProcessor.getSampleRate().toFixed(0)} Hz | N=${audioProcessor.config.windowSize} hop=${audioProcessor.config.hopSize}`;
+  audioProcessor.addEventListener('noteoff', updateMidiNoteCount);
+  audioProcessor.addEventListener('beat', ({ detail }) => {
+    lastBeat = { at: performance.now(), downbeat: detail.downbeat };
+  });
 
+  // Tuner estimates arrive with every frame ('fft') or on the time-domain
+  // tuner's own, shorter hops ('yin'/'mpm'), so the needle redraws on its own
+  let needleDrawPending = false;
+  audioProcessor.addEventListener('pitch', ({ detail }) => {
+    const { primary } = detail;
     if (primary) {
-      const slice = (Math.PI * 2) / 12;
-      const pc = primary.pitchClass;
+      // The needle points into the nearest bin, offset by the cents from its
+      // centre; with 12 bins the bins are the tempered notes
+      const bins = PCD_BINS;
+      const slice = (Math.PI * 2) / bins;
+      const pc = bins === 12 ? primary.tempered.pitchClass : primary.step;
+      const cents = bins === 12 ? primary.tempered.cents : primary.stepCents;
       const a0 = RING.baseRotation + userRotation + pc * slice + RING.gapRadians / 2;
       const a1 = a0 + slice - RING.gapRadians;
       const mid = (a0 + a1) / 2;
-      const angleRaw = mid + (primary.cents / 100) * slice;
-
-      if (needleAngleSm == null) needleAngleSm = angleRaw;
-      if (centsSm == null) centsSm = primary.cents;
-
-      const step = Math.max(0.05, Math.min(1.0, TUNER.reactivity));
-      const dAng = wrapDiff(angleRaw, needleAngleSm);
-      needleAngleSm = needleAngleSm + step * dAng;
-      centsSm = centsSm + step * (primary.cents - centsSm);
+      const angleRaw = mid + (cents * bins / 1200) * slice;
+
+      // Unwrap towards the current needle so it turns the short way round
+      const angle = needleAngleSm == null ? angleRaw : needleAngleSm + wrapDiff(angleRaw, needleAngleSm);
+      const dt = needleTime == null ? 0 : detail.time - needleTime;
+      needleTime = detail.time;
+      needleSmoother.process([angle, cents], needleState, dt, TUNER);
+      needleAngleSm = needleState[0];
+      centsSm = needleState[1];
+
+      // The strobe shows the measured phase against the target and moves it
+      // on between readings at the rate it advanced since the previous one
+      const phase = bins === 12 ? primary.tempered.phase : primary.stepPhase;
+      let phaseRate = 0;
+      if (lastPrimary && lastPrimary.pc === pc && detail.time > lastPrimary.time) {
+        const advance = phase - lastPrimary.phase;
+        phaseRate = (advance - Math.round(advance)) / (detail.time - lastPrimary.time);
+      }
 
       lastPrimary = {
         freq: primary.freq,
         prominenceDb: primary.prominenceDb,
+        confidence: primary.confidence,
         pc,
-        cents: primary.cents,
+        cents,
         centsSm,
+        targetFreq: bins === 12 && TUNER.temperament !== 'equal' ? primary.tempered.targetFreq : null,
+        phase,
+        phaseRate,
+        time: detail.time,
+        receivedAt: performance.now(),
       };
     } else {
       lastPrimary = null;
-      needleAngleSm = null;
-      centsSm = null;
+      resetNeedle();
+    }
+
+    if (!needleDrawPending) {
+      needleDrawPending = true;
+      requestAnimationFrame(() => {
+        drawRing(window.currentPCD);
+        needleDrawPending = false;
+      });
     }
+  });
+
+  audioProcessor.addEventListener('analysis', ({ detail }) => {
+    const { pcd, rms } = detail;
+    currentRMS = rms;
+
+    const source = audioProcessor.getSourceType();
+    const sourceLabel = source === 'offline' && detail.audioTime != null
+      ? `Analyzing file @ ${detail.audioTime.toFixed(1)} s`
+      : source === 'file' ? 'Playing file' : 'Running';
+    const channelsLabel = detail.channels && detail.channels.length
+      ? ' | ' + detail.channels.map(ch => `${ch.channel === 0 ? 'L' : 'R'} ${ch.rms.toFixed(3)}`).join(' ')
+      : '';
+    statusEl.textContent = `${sourceLabel} @ ${audioProcessor.getSampleRate().toFixed(0)} Hz | N=${audioProcessor.config.windowSize} hop=${audioProcessor.config.hopSize}${channelsLabel}`;
 
     if (!window.drawPending) {
       window.drawPending = true;
       requestAnimationFrame(() => {
         pcdText.textContent = '[' + Array.from(pcd).map(v => v.toFixed(3)).join(', ') + ']';
+        keyText.textContent = formatKeys(audioProcessor.getKey());
+        chordText.textContent = formatChords(detail.chord);
         updateDFTDisplay(window.currentPCD, currentRMS);
         drawRing(window.currentPCD);
         window.drawPending = false;
       });
     }
 
+    lastNotes = detail.notes || [];
+
+    if (detail.tuning) {
+      const { refA4, cents, locked } = detail.tuning;
+      const centsStr = (cents >= 0 ? '+' : '') + cents.toFixed(1);
+      autoTuneVal.textContent = `A4 = ${refA4.toFixed(1)} Hz (${centsStr}¢)${locked ? ' 🔒' : ''}`;
+    }
+
     if (lastPrimary) {
-      const name = currentNoteLabels[lastPrimary.pc];
+      const name = binNoteLabels[lastPrimary.pc];
       const centsStr = (lastPrimary.centsSm >= 0 ? '+' : '') + lastPrimary.centsSm.toFixed(1);
-      tuneEl.textContent = `Primary: ${name}  ${centsStr}¢  (~${lastPrimary.freq.toFixed(1)} Hz, ${lastPrimary.prominenceDb.toFixed(1)} dB)`;
+      const strength = lastPrimary.confidence != null
+        ? `conf ${lastPrimary.confidence.toFixed(2)}`
+        : `${lastPrimary.prominenceDb.toFixed(1)} dB`;
+      const target = lastPrimary.targetFreq != null ? ` → ${lastPrimary.targetFreq.toFixed(1)} Hz` : '';
+      tuneEl.textContent = `Primary: ${name}  ${centsStr}¢  (~${lastPrimary.freq.toFixed(1)} Hz${target}, ${strength})`;
     } else {
       tuneEl.textContent = '';
     }
+    if (lastNotes.length) {
+      const names = lastNotes.map(n => writtenNoteName(n.midi));
+      tuneEl.textContent += (tuneEl.textContent ? '  |  ' : '') + 'Notes: ' + names.join(' ');
+    }
+    if (detail.percussiveRatio != null) {
+      tuneEl.textContent += (tuneEl.textContent ? '  |  ' : '') + `Perc ${Math.round(detail.percussiveRatio * 100)}%`;
+    }
+    if (detail.tempo) {
+      tuneEl.textContent += (tuneEl.textContent ? '  |  ' : '') + `♩ = ${detail.tempo.bpm.toFixed(0)} BPM`;
+    }
 
     window.dispatchEvent(new CustomEvent('pcd', { detail: window.currentPCD }));
   });
@@ -1300,33 +2011,58 @@ import { AudioProcessor, DEFAULT_AUDIO_CONFIG, DEFAULT_TUNER_CONFIG } from './au
     startInProgress = false;
     isAudioRunning = false;
     startBtn.disabled = false;
+    loadFileBtn.disabled = false;
     stopBtn.disabled = true;
   });
 
-  async function start(){
+  async function startWith(begin){
     if (isAudioRunning || startInProgress) return;
     startInProgress = true;
     startBtn.disabled = true;
+    loadFileBtn.disabled = true;
     stopBtn.disabled = true;
     statusEl.textContent = 'Starting…';
     try {
-      await audioProcessor.start();
+      await begin();
     } catch (error) {
       const message = error?.message || String(error);
       console.error('Failed to start audio:', error);
       statusEl.textContent = `Error: ${message}`;
       startBtn.disabled = false;
+      loadFileBtn.disabled = false;
       stopBtn.disabled = true;
       startInProgress = false;
       isAudioRunning = false;
     } finally {
       if (!isAudioRunning) {
         startBtn.disabled = false;
+        loadFileBtn.disabled = false;
       }
       startInProgress = false;
     }
   }
 
+  function start(){
+    return startWith(() => audioProcessor.start());
+  }
+
+  function startFile(file){
+    // Offline analysis resolves only once the whole file is processed, so
+    // hold the "starting" state only until decoding is done and it runs.
+    return startWith(async () => {
+      const running = new Promise(resolve => {
+        audioProcessor.addEventListener('statechange', resolve, { once: true });
+      });
+      const run = audioProcessor.startFile(file, { mode: fileModeSel.value });
+      if (fileModeSel.value === 'offline') {
+        run.catch(() => {});
+        await Promise.race([run, running]);
+        return;
+      }
+      await run;
+    });
+  }
+
   async function stop(){
     if (!isAudioRunning && !startInProgress) return;
     stopBtn.disabled = true;
@@ -1339,9 +2075,10 @@ import { AudioProcessor, DEFAULT_AUDIO_CONFIG, DEFAULT_TUNER_CONFIG } from './au
       startBtn.disabled = false;
       stopBtn.disabled = true;
       tuneEl.textContent = '';
-      needleAngleSm = null;
-      centsSm = null;
+      resetNeedle();
       lastPrimary = null;
+      lastNotes = [];
+      lastBeat = null;
       window.currentPCD.fill(0);
       currentRMS = 0;
       if (!window.drawPending) {
@@ -1361,6 +2098,12 @@ import { AudioProcessor, DEFAULT_AUDIO_CONFIG, DEFAULT_TUNER_CONFIG } from './au
 
   startBtn.addEventListener('click', start, { passive: true });
   stopBtn.addEventListener('click', stop, { passive: true });
+  loadFileBtn.addEventListener('click', () => fileInput.click(), { passive: true });
+  fileInput.addEventListener('change', () => {
+    const file = fileInput.files && fileInput.files[0];
+    fileInput.value = ''; // allow re-selecting the same file
+    if (file) startFile(file);
+  });
 
   // Initial setup
   setupCanvas();
@@ -1373,13 +2116,38 @@ import { AudioProcessor, DEFAULT_AUDIO_CONFIG, DEFAULT_TUNER_CONFIG } from './au
   });
   
   // Set slider positions to match JavaScript defaults
-  document.getElementById('reactRange').value = TUNER.reactivity;
+  needleSmoothRange.value = TUNER.smoothingAttackMs;
+  needleSmoothMode.value = TUNER.smoothingMode;
   document.getElementById('promRange').value = TUNER.minProminence;
+  tunerAlgorithmSel.value = TUNER.algorithm;
+  fillTonicOptions();
+  temperamentSel.value = Array.isArray(TUNER.temperament) ? 'custom' : TUNER.temperament;
+  noteTicksSel.value = NOTE_TICKS.enabled ? 'on' : 'off';
+  transposeSel.value = String(TRANSPOSE);
+  viewModeSel.value = VIEW;
+  maxNotesRange.value = audioProcessor.config.maxNotes;
+  maxNotesVal.textContent = audioProcessor.config.maxNotes.toString();
+  onsetRange.value = ONSET_THRESHOLD;
+  beatsPerBarRange.value = BEATS_PER_BAR;
+  pcdSegmentSel.value = PCD_SEGMENT;
+  beatPulseSel.value = BEAT_PULSE.enabled ? 'on' : 'off';
+  midiSourceSel.value = MIDI.source;
+  midiTempoRange.value = MIDI.tempo;
+  midiQuantizeSel.value = Object.keys(QUANTIZE_GRIDS).find(key => QUANTIZE_GRIDS[key] === MIDI.quantize);
+  midiPitchBendSel.value = MIDI.pitchBend ? 'on' : 'off';
+  confRange.value = TUNER.minConfidence;
   document.getElementById('rmsRange').value = TUNER.minRMS;
   document.getElementById('refA4Input').value = REF_A4;
+  autoTuneSel.value = AUTO_TUNE ? 'on' : 'off';
+  autoTuneLockBtn.disabled = !AUTO_TUNE;
   document.getElementById('windowRange').value = Math.log2(WINDOW_SIZE);
+  windowTypeSel.value = WINDOW_TYPE;
+  kaiserBetaRange.value = KAISER_BETA;
   document.getElementById('hopRange').value = Math.log2(HOP_SIZE);
-  document.getElementById('smoothRange').value = SMOOTHING;
+  smoothModeSel.value = SMOOTHING.smoothingMode;
+  attackRange.value = SMOOTHING.smoothingAttackMs;
+  releaseRange.value = SMOOTHING.smoothingReleaseMs;
+  holdRange.value = SMOOTHING.smoothingHoldMs;
   document.getElementById('minHzRange').value = MIN_HZ;
   document.getElementById('maxHzRange').value = MAX_HZ;
   document.getElementById('tunerMinRange').value = TUNER.minHz;
@@ -1387,14 +2155,32 @@ import { AudioProcessor, DEFAULT_AUDIO_CONFIG, DEFAULT_TUNER_CONFIG } from './au
   document.getElementById('pcdRmsRange').value = PCD_MIN_RMS;
   document.getElementById('pcdThreshRange').value = PCD_THRESHOLD;
   document.getElementById('pcdNormRange').value = PCD_NORMALIZE;
+  pcdMethodSel.value = PCD_METHOD;
+  keyProfileSel.value = KEY_PROFILE;
+  keyWindowRange.value = KEY_WINDOW;
+  keyWindowVal.textContent = `${KEY_WINDOW} s`;
+  chordHoldRange.value = CHORD_HOLD;
+  chordHoldVal.textContent = `${CHORD_HOLD.toFixed(1)} s`;
+  pcdBinsSel.value = String(PCD_BINS);
+  hpcpHarmRange.value = HPCP_HARMONICS;
+  hpssSel.value = HPSS ? 'on' : 'off';
+  channelModeSel.value = audioProcessor.getInput().channelMode;
+  torusMajorSel.value = String(TORUS_COORDS.major);
+  torusMinorSel.value = String(TORUS_COORDS.minor);
+  torusRadiusSel.value = String(TORUS_COORDS.radius);
+  refreshInputDevices();
   
   // Reflect slider defaults in UI text
-  document.getElementById('reactVal').textContent = TUNER.reactivity.toFixed(2);
+  needleSmoothVal.textContent = `${TUNER.smoothingAttackMs} ms`;
   document.getElementById('promVal').textContent = TUNER.minProminence.toFixed(1) + ' dB';
+  confVal.textContent = TUNER.minConfidence.toFixed(2);
   document.getElementById('rmsVal').textContent = TUNER.minRMS.toFixed(4);
   document.getElementById('windowVal').textContent = WINDOW_SIZE.toString();
+  kaiserBetaVal.textContent = KAISER_BETA.toFixed(1);
   document.getElementById('hopVal').textContent = HOP_SIZE.toString();
-  document.getElementById('smoothVal').textContent = SMOOTHING.toFixed(2);
+  attackVal.textContent = `${SMOOTHING.smoothingAttackMs} ms`;
+  releaseVal.textContent = `${SMOOTHING.smoothingReleaseMs} ms`;
+  holdVal.textContent = `${SMOOTHING.smoothingHoldMs} ms`;
   document.getElementById('minHzVal').textContent = MIN_HZ.toFixed(0) + ' Hz';
   document.getElementById('maxHzVal').textContent = MAX_HZ.toFixed(0) + ' Hz';
   document.getElementById('tunerMinVal').textContent = TUNER.minHz.toFixed(0) + ' Hz';
@@ -1402,6 +2188,10 @@ import { AudioProcessor, DEFAULT_AUDIO_CONFIG, DEFAULT_TUNER_CONFIG } from './au
   document.getElementById('pcdRmsVal').textContent = PCD_MIN_RMS.toFixed(4);
   document.getElementById('pcdThreshVal').textContent = PCD_THRESHOLD.toFixed(3);
   document.getElementById('pcdNormVal').textContent = PCD_NORMALIZE.toFixed(1);
+  hpcpHarmVal.textContent = HPCP_HARMONICS.toString();
+  onsetVal.textContent = ONSET_THRESHOLD.toFixed(1) + '×';
+  beatsPerBarVal.textContent = BEATS_PER_BAR.toString();
+  midiTempoVal.textContent = MIDI.tempo + ' BPM';
 
   // Initialize visualizations after DOM is fully laid out
   function initializeVisualizations() {